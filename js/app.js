@@ -21,20 +21,15 @@ class AICanvasApp {
         this.dragData = null;
         this.resizeData = null;
         
-        // Agent states
-        this.agents = new Map([
-            ['workday', { name: 'Workday Assistant', status: 'online', enabled: true }],
-            ['policy', { name: 'Policy Bot', status: 'online', enabled: true }],
-            ['healthcare', { name: 'Healthcare Bot', status: 'warning', enabled: false }],
-            ['finance', { name: 'Finance Helper', status: 'online', enabled: false }],
-            ['guidewire', { name: 'Guidewire Bot', status: 'offline', enabled: false }]
-        ]);
+        // Agent states, loaded from the agent registry
+        this.agents = new Map();
     }
 
     /**
      * Initialize the application
      */
-    initialize() {
+    async initialize() {
+        await this.loadAgents();
         this.setupEventListeners();
         this.renderAgentList();
         this.setupDragAndDrop();
@@ -43,6 +38,44 @@ class AICanvasApp {
         console.log('AI Canvas App initialized');
     }
 
+    /**
+     * Load agents from data/agents.json (see js/core/agent-registry.js),
+     * reusing the registry the canvas already loaded when there is one
+     */
+    async loadAgents() {
+        try {
+            let agents = Array.from(window.AICanvas?.agents?.values() || []);
+            let errors = [];
+            if (agents.length === 0) {
+                ({ agents, errors } = await AgentRegistry.load());
+            }
+
+            this.agents = new Map(agents.map(agent => [agent.id, {
+                name: agent.name,
+                type: agent.description || agent.type,
+                capabilities: agent.capabilities || [],
+                // This demo has no health checks: only in-browser agents are reachable
+                status: AgentTransports.resolveTransportName(agent) === 'simulated' ? 'online' : 'offline',
+                enabled: Boolean(agent.defaultEnabled)
+            }]));
+
+            errors.forEach(error => {
+                this.showNotification({
+                    type: 'warning',
+                    message: `Agent registry: ${error.path} ${error.message}`,
+                    duration: 8000
+                });
+            });
+        } catch (error) {
+            console.error('Failed to load agent registry:', error);
+            this.showNotification({
+                type: 'error',
+                message: `Failed to load agents: ${error.message}`,
+                duration: 8000
+            });
+        }
+    }
+
     /**
      * Set up all event listeners
      */
@@ -115,8 +148,7 @@ class AICanvasApp {
         element.className = `agent-item ${agent.enabled ? 'enabled' : 'disabled'}`;
         element.dataset.agentId = agentId;
 
-        const statusClass = agent.status === 'online' ? 'active' : 
-                           agent.status === 'warning' ? 'warning' : 'error';
+        const statusClass = AgentStatus.getIndicatorClass(agent.status);
 
         element.innerHTML = `
             <div class="agent-info">
@@ -150,14 +182,7 @@ class AICanvasApp {
      * Get agent type description
      */
     getAgentType(agentId) {
-        const types = {
-            workday: 'HR & Payroll',
-            policy: 'Knowledge & Compliance',
-            healthcare: 'Benefits & Wellness',
-            finance: 'Budget & Expenses',
-            guidewire: 'Insurance Workflows'
-        };
-        return types[agentId] || 'General Purpose';
+        return this.agents.get(agentId)?.type || 'General Purpose';
     }
 
     /**
@@ -306,7 +331,8 @@ class AICanvasApp {
             title: this.getWidgetTitle(type),
             position: position,
             size: this.getDefaultSize(type),
-            pinned: false
+            pinned: false,
+            config: {}
         };
 
         const element = this.createWidgetElement(widget);
@@ -649,6 +675,7 @@ class AICanvasApp {
     sendChatMessage(widgetId, message) {
         const element = document.getElementById(widgetId);
         const messagesContainer = element.querySelector('.chat-messages');
+        const routingMode = this.widgets.get(widgetId)?.config?.routingMode || 'parallel';
         const activeAgents = Array.from(element.querySelectorAll('.agent-chip.active'))
             .map(chip => chip.dataset.agent);
 
@@ -675,7 +702,7 @@ class AICanvasApp {
         setTimeout(() => {
             typingIndicator.remove();
             
-            const response = this.generateMockResponse(message, activeAgents);
+            const response = this.generateMockResponse(message, activeAgents, routingMode);
             this.addChatMessage(messagesContainer, {
                 type: 'assistant',
                 content: response.content,
@@ -687,23 +714,28 @@ class AICanvasApp {
     }
 
     /**
-     * Generate mock agent response
+     * Generate mock agent response, routed the way the widget's routing mode says
      */
-    generateMockResponse(message, activeAgents) {
+    generateMockResponse(message, activeAgents, routingMode = 'parallel') {
+        // `agent` is the agent that knows the topic
         const responses = {
             vacation: {
+                agent: 'workday',
                 content: "You have 12 vacation days remaining this year. Your next scheduled PTO is March 15-17 (3 days). Would you like me to help you submit a new vacation request?",
                 sources: ["Workday System", "PTO Policy"]
             },
             benefits: {
+                agent: 'healthcare',
                 content: "Your current benefits include Health Insurance (PPO plan), 401(k) with 6% company match, and $50,000 life insurance. Open enrollment is November 1-15.",
                 sources: ["Benefits Portal", "HR Guidelines"]
             },
             policy: {
+                agent: 'policy',
                 content: "Our remote work policy allows up to 3 days per week remote with manager approval. Core hours are 10 AM - 3 PM ET. Equipment allowance includes laptop and $500 for home office setup.",
                 sources: ["Employee Handbook", "IT Policy"]
             },
             budget: {
+                agent: 'finance',
                 content: "Your department budget shows 73% utilization ($127k of $175k allocated). Q2 forecast is on track. Major categories: Software licenses (45%), Contractors (28%), Travel (15%).",
                 sources: ["SAP Financial System", "Q2 Forecast"]
             }
@@ -727,9 +759,20 @@ class AICanvasApp {
             };
         }
 
+        // Parallel asks every selected agent; sequential asks them in order until
+        // the one that knows the topic answers; smart asks only that one
+        const { agent, ...answer } = response;
+        const expertIndex = activeAgents.indexOf(agent);
+        let agents = activeAgents;
+        if (routingMode === 'sequential' && expertIndex !== -1) {
+            agents = activeAgents.slice(0, expertIndex + 1);
+        } else if (routingMode === 'smart' && expertIndex !== -1) {
+            agents = [agent];
+        }
+
         return {
-            ...response,
-            agents: activeAgents
+            ...answer,
+            agents
         };
     }
 
@@ -1033,6 +1076,15 @@ class AICanvasApp {
     * Create chat-specific configuration
     */
    createChatConfig(widget) {
+       const routingMode = widget.config?.routingMode || 'parallel';
+       const routingOptions = [
+           ['parallel', 'Parallel (query all selected agents)'],
+           ['sequential', 'Sequential (query one by one)'],
+           ['smart', 'Smart (auto-detect best agent)']
+       ].map(([value, label]) => `
+                   <option value="${value}" ${value === routingMode ? 'selected' : ''}>${label}</option>`
+       ).join('');
+
        const agentOptions = Array.from(this.agents.entries())
            .filter(([id, agent]) => agent.status !== 'offline')
            .map(([id, agent]) => `
@@ -1051,10 +1103,7 @@ class AICanvasApp {
            </div>
            <div class="config-section">
                <label>Query Routing:</label>
-               <select class="routing-select">
-                   <option value="parallel">Parallel (query all selected agents)</option>
-                   <option value="sequential">Sequential (query one by one)</option>
-                   <option value="smart">Smart (auto-detect best agent)</option>
+               <select class="routing-select">${routingOptions}
                </select>
            </div>
        `;
@@ -1146,6 +1195,11 @@ class AICanvasApp {
            });
            this.renderAgentList();
            this.updateWidgetAgents();
+
+           const routingSelect = modal.querySelector('.routing-select');
+           if (routingSelect) {
+               widget.config = { ...widget.config, routingMode: routingSelect.value };
+           }
        }
 
        this.showNotification({
@@ -1279,7 +1333,7 @@ class AICanvasApp {
                </div>
                <div class="modal-body">
                    <div class="agent-status-section">
-                       <div class="status-indicator ${agent.status === 'online' ? 'active' : agent.status === 'warning' ? 'warning' : 'error'}"></div>
+                       <div class="status-indicator ${AgentStatus.getIndicatorClass(agent.status)}"></div>
                        <span class="status-text">${agent.status.toUpperCase()}</span>
                    </div>
                    
@@ -1292,22 +1346,7 @@ class AICanvasApp {
                    <div class="agent-metrics">
                        <h3>Performance Metrics</h3>
                        <div class="metrics-grid">
-                           <div class="metric-item">
-                               <span class="metric-value">${this.getRandomMetric(85, 99)}%</span>
-                               <span class="metric-label">Uptime</span>
-                           </div>
-                           <div class="metric-item">
-                               <span class="metric-value">${this.getRandomMetric(500, 2000)}ms</span>
-                               <span class="metric-label">Avg Response</span>
-                           </div>
-                           <div class="metric-item">
-                               <span class="metric-value">${this.getRandomMetric(100, 1000)}</span>
-                               <span class="metric-label">Queries Today</span>
-                           </div>
-                           <div class="metric-item">
-                               <span class="metric-value">${this.getRandomMetric(90, 99)}%</span>
-                               <span class="metric-label">Success Rate</span>
-                           </div>
+                           ${this.renderAgentPerformance(agentId)}
                        </div>
                    </div>
                </div>
@@ -1321,8 +1360,17 @@ class AICanvasApp {
        document.body.appendChild(modal);
        modal.focus();
 
+       // Keep the figures current while the dialog is open
+       const handleMetricsUpdated = (e) => {
+           if (e.detail.agentIds.includes(agentId)) {
+               modal.querySelector('.agent-metrics .metrics-grid').innerHTML = this.renderAgentPerformance(agentId);
+           }
+       };
+       document.addEventListener('metrics:updated', handleMetricsUpdated);
+
        // Setup modal interactions
        const closeModal = () => {
+           document.removeEventListener('metrics:updated', handleMetricsUpdated);
            modal.remove();
        };
 
@@ -1341,17 +1389,11 @@ class AICanvasApp {
    }
 
    /**
-    * Get agent capabilities
+    * Get agent capabilities from its registry entry
     */
    getAgentCapabilities(agentId) {
-       const capabilities = {
-           workday: ['Vacation Management', 'Payroll', 'Benefits', 'Employee Records'],
-           policy: ['Policy Retrieval', 'Compliance', 'Procedures', 'Documentation'],
-           healthcare: ['Health Insurance', 'Wellness Programs', 'Medical Benefits'],
-           finance: ['Budget Analysis', 'Expense Tracking', 'Financial Reports'],
-           guidewire: ['Policy Management', 'Claims Processing', 'Underwriting']
-       };
-       return capabilities[agentId] || ['General Assistance'];
+       const capabilities = this.agents.get(agentId)?.capabilities || [];
+       return capabilities.length > 0 ? capabilities : ['General Assistance'];
    }
 
    /**
@@ -1382,10 +1424,46 @@ class AICanvasApp {
    }
 
    /**
-    * Get random metric for demo
+    * Success rate and response-time percentiles from the metrics registry, formatted for display
     */
-   getRandomMetric(min, max) {
-       return Math.floor(Math.random() * (max - min + 1)) + min;
+   getAgentPerformance(agentId) {
+       const metrics = window.AgentMetrics;
+       const successful = metrics?.getCounter('agent_requests_total', { agentId, outcome: 'success' }) || 0;
+       const total = successful + (metrics?.getCounter('agent_requests_total', { agentId, outcome: 'failure' }) || 0);
+       const latency = metrics?.getHistogram('agent_response_time_ms', { agentId })?.getSummary();
+       const format = ms => ms === null || ms === undefined ? '–' : `${Math.round(ms)}ms`;
+
+       return {
+           successRate: total > 0 ? `${((successful / total) * 100).toFixed(1)}%` : '–',
+           p50: format(latency?.p50),
+           p90: format(latency?.p90),
+           p99: format(latency?.p99)
+       };
+   }
+
+   /**
+    * Metric tiles for the agent details modal
+    */
+   renderAgentPerformance(agentId) {
+       const stats = this.getAgentPerformance(agentId);
+       return `
+           <div class="metric-item">
+               <span class="metric-value">${stats.successRate}</span>
+               <span class="metric-label">Success Rate</span>
+           </div>
+           <div class="metric-item">
+               <span class="metric-value">${stats.p50}</span>
+               <span class="metric-label">p50 Response</span>
+           </div>
+           <div class="metric-item">
+               <span class="metric-value">${stats.p90}</span>
+               <span class="metric-label">p90 Response</span>
+           </div>
+           <div class="metric-item">
+               <span class="metric-value">${stats.p99}</span>
+               <span class="metric-label">p99 Response</span>
+           </div>
+       `;
    }
 
    /**
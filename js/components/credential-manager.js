@@ -0,0 +1,245 @@
+/**
+ * Credential Manager
+ * Dialog for unlocking the credential vault and entering an agent's secrets
+ */
+
+class CredentialManager {
+    constructor() {
+        this.modal = null;
+        this.agentId = null;
+        this.returnFocus = null;
+    }
+
+    /**
+     * Open the dialog for one agent
+     */
+    open(agentId) {
+        const agent = AICanvas.agents.get(agentId);
+        if (!agent?.auth) return;
+
+        this.close();
+        this.agentId = agentId;
+        this.returnFocus = document.activeElement;
+        this.modal = this.createModal(agent);
+        document.body.appendChild(this.modal);
+        this.setupModal();
+        this.render();
+    }
+
+    close() {
+        if (!this.modal) return;
+        this.modal.remove();
+        this.modal = null;
+        this.returnFocus?.focus?.();
+    }
+
+    createModal(agent) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-backdrop';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'credential-manager-title');
+        modal.setAttribute('tabindex', '-1');
+
+        modal.innerHTML = `
+            <div class="modal-content credential-manager">
+                <div class="modal-header">
+                    <h2 id="credential-manager-title">${this.escapeHtml(agent.name)} Credentials</h2>
+                    <button class="modal-close" aria-label="Close dialog">×</button>
+                </div>
+                <div class="modal-body">
+                    <p class="credential-scheme">
+                        Authentication: <strong>${CredentialManager.SCHEME_LABELS[agent.auth.scheme] || this.escapeHtml(agent.auth.scheme)}</strong>
+                    </p>
+                    <form class="credential-form" autocomplete="off"></form>
+                    <p class="credential-status" role="status" aria-live="polite"></p>
+                </div>
+                <div class="modal-footer"></div>
+            </div>
+        `;
+
+        return modal;
+    }
+
+    setupModal() {
+        const modal = this.modal;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.close();
+            }
+        });
+
+        modal.querySelector('.credential-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (CredentialVault.isUnlocked()) {
+                this.save();
+            } else {
+                this.unlock();
+            }
+        });
+
+        modal.querySelector('.modal-footer').addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            switch (action) {
+                case 'remove': this.remove(); break;
+                case 'lock': CredentialVault.lock(); this.render(); break;
+                case 'reset': this.resetVault(); break;
+                case 'close': this.close(); break;
+            }
+        });
+    }
+
+    /**
+     * Show the unlock form or the credential form, depending on the vault
+     */
+    render() {
+        const form = this.modal.querySelector('.credential-form');
+        const footer = this.modal.querySelector('.modal-footer');
+        this.setStatus('');
+
+        if (!CredentialVault.isUnlocked()) {
+            const creating = !CredentialVault.exists();
+            form.innerHTML = `
+                <p>${creating
+                    ? 'Choose a passphrase. Saved credentials are encrypted with it and never leave this browser.'
+                    : 'Enter your passphrase to unlock saved credentials.'}</p>
+                <label for="vault-passphrase">Passphrase</label>
+                <input type="password" id="vault-passphrase" class="vault-passphrase" required autocomplete="${creating ? 'new-password' : 'current-password'}">
+                ${creating ? `
+                    <label for="vault-passphrase-confirm">Confirm passphrase</label>
+                    <input type="password" id="vault-passphrase-confirm" class="vault-passphrase-confirm" required autocomplete="new-password">
+                ` : ''}
+                <button type="submit" class="btn btn-primary">${creating ? 'Create vault' : 'Unlock'}</button>
+            `;
+            footer.innerHTML = `
+                ${creating ? '' : '<button type="button" class="btn btn-secondary" data-action="reset">Forgot passphrase…</button>'}
+                <button type="button" class="btn btn-secondary" data-action="close">Close</button>
+            `;
+            form.querySelector('.vault-passphrase').focus();
+            return;
+        }
+
+        const agent = AICanvas.agents.get(this.agentId);
+        const saved = CredentialVault.hasCredentials(this.agentId);
+        const fields = AgentAuth.getCredentialFields(agent.auth.scheme);
+
+        // Saved secrets are never put back into the form; leaving a field blank keeps it
+        form.innerHTML = `
+            ${fields.map(field => `
+                <label for="credential-${field.name}">${field.label}${field.required ? '' : ' (optional)'}</label>
+                <input type="password" id="credential-${field.name}" name="${field.name}"
+                    autocomplete="off" ${field.required && !saved ? 'required' : ''}
+                    placeholder="${saved ? 'Saved (leave blank to keep)' : ''}">
+            `).join('')}
+            <button type="submit" class="btn btn-primary">Save credentials</button>
+        `;
+        footer.innerHTML = `
+            ${saved ? '<button type="button" class="btn btn-secondary" data-action="remove">Remove credentials</button>' : ''}
+            <button type="button" class="btn btn-secondary" data-action="lock">Lock vault</button>
+            <button type="button" class="btn btn-secondary" data-action="close">Close</button>
+        `;
+        this.setStatus(saved ? 'Credentials are saved for this agent.' : 'No credentials saved for this agent yet.');
+        form.querySelector('input')?.focus();
+    }
+
+    async unlock() {
+        const modal = this.modal;
+        const passphrase = modal.querySelector('.vault-passphrase').value;
+        const confirmation = modal.querySelector('.vault-passphrase-confirm');
+
+        if (confirmation && confirmation.value !== passphrase) {
+            this.setStatus('The passphrases do not match.');
+            return;
+        }
+
+        try {
+            await CredentialVault.unlock(passphrase);
+        } catch (error) {
+            if (this.modal !== modal) return;
+            this.setStatus(error.message);
+            return;
+        }
+
+        // The dialog may have been closed or reopened while unlocking
+        if (this.modal !== modal) return;
+        this.render();
+    }
+
+    async save() {
+        const modal = this.modal;
+        const agentId = this.agentId;
+        const current = CredentialVault.getCredentials(agentId) || {};
+        const entered = Object.fromEntries(
+            Array.from(modal.querySelectorAll('.credential-form input'))
+                .filter(input => input.value.trim())
+                .map(input => [input.name, input.value.trim()])
+        );
+
+        try {
+            await CredentialVault.setCredentials(agentId, { ...current, ...entered });
+        } catch (error) {
+            if (this.modal !== modal) return;
+            this.setStatus(error.message);
+            return;
+        }
+
+        // See whether the agent accepts them
+        const agent = AICanvas.agents.get(agentId);
+        if (agent) {
+            AICanvas.checkAgentHealth(agent);
+        }
+
+        if (this.modal !== modal) return;
+        this.render();
+        this.setStatus('Credentials saved.');
+    }
+
+    async remove() {
+        if (!confirm('Remove the saved credentials for this agent?')) return;
+
+        const modal = this.modal;
+        try {
+            await CredentialVault.removeCredentials(this.agentId);
+        } catch (error) {
+            if (this.modal !== modal) return;
+            this.setStatus(error.message);
+            return;
+        }
+
+        if (this.modal !== modal) return;
+        this.render();
+    }
+
+    resetVault() {
+        if (!confirm('Delete the credential vault? Every saved agent credential will be lost.')) return;
+        CredentialVault.destroy();
+        this.render();
+    }
+
+    setStatus(message) {
+        this.modal.querySelector('.credential-status').textContent = message;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+CredentialManager.SCHEME_LABELS = {
+    'api-key': 'API key',
+    'bearer': 'Bearer token',
+    'oauth2-client-credentials': 'OAuth2 client credentials',
+    'hmac': 'HMAC request signing'
+};
+
+// Create global instance
+window.CredentialManager = new CredentialManager();
@@ -0,0 +1,271 @@
+/**
+ * History Browser
+ * Searches stored queries and re-runs them into a chat widget
+ */
+
+class HistoryBrowser {
+    constructor() {
+        this.modal = null;
+        this.pageSize = 50;
+        this.searchTimer = null;
+        this.returnFocus = null;
+    }
+
+    /**
+     * Open the history browser dialog
+     */
+    async open() {
+        if (this.modal) {
+            this.modal.focus();
+            return;
+        }
+
+        this.returnFocus = document.activeElement;
+        this.modal = this.createModal();
+        document.body.appendChild(this.modal);
+        this.setupModal();
+
+        this.modal.querySelector('.history-search').focus();
+        await this.refresh();
+    }
+
+    /**
+     * Close the dialog and return focus to where it was opened from
+     */
+    close() {
+        clearTimeout(this.searchTimer);
+        this.modal?.remove();
+        this.modal = null;
+        this.returnFocus?.focus?.();
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-backdrop';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'history-browser-title');
+        modal.setAttribute('tabindex', '-1');
+
+        const agentOptions = Array.from(AICanvas.agents.values()).map(agent =>
+            `<option value="${this.escapeHtml(agent.id)}">${this.escapeHtml(agent.name)}</option>`
+        ).join('');
+
+        modal.innerHTML = `
+            <div class="modal-content history-browser">
+                <div class="modal-header">
+                    <h2 id="history-browser-title">Query History</h2>
+                    <button class="modal-close" aria-label="Close dialog">×</button>
+                </div>
+                <div class="modal-body">
+                    <form class="history-filters" role="search" aria-label="Filter query history">
+                        <label class="sr-only" for="history-search">Search questions and answers</label>
+                        <input type="search" id="history-search" class="history-search" placeholder="Search questions and answers">
+                        <label class="sr-only" for="history-agent">Agent</label>
+                        <select id="history-agent" class="history-agent">
+                            <option value="">All agents</option>
+                            ${agentOptions}
+                        </select>
+                        <label class="sr-only" for="history-status">Result</label>
+                        <select id="history-status" class="history-status">
+                            <option value="">Any result</option>
+                            <option value="success">Answered</option>
+                            <option value="error">Failed</option>
+                        </select>
+                        <label for="history-from">From</label>
+                        <input type="date" id="history-from" class="history-from">
+                        <label for="history-to">To</label>
+                        <input type="date" id="history-to" class="history-to">
+                    </form>
+                    <p class="history-summary" aria-live="polite"></p>
+                    <ul class="history-results" aria-label="Past queries"></ul>
+                    <button type="button" class="btn btn-secondary history-more" hidden>Show more</button>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary history-clear">Clear history</button>
+                    <button type="button" class="btn btn-secondary modal-close">Close</button>
+                </div>
+            </div>
+        `;
+
+        return modal;
+    }
+
+    setupModal() {
+        const modal = this.modal;
+
+        modal.querySelectorAll('.modal-close').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.close();
+            }
+        });
+
+        modal.querySelector('.history-filters').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.refresh();
+        });
+
+        // Typing waits for a pause; the other filters apply immediately
+        modal.querySelector('.history-search').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.refresh(), 250);
+        });
+        modal.querySelectorAll('.history-agent, .history-status, .history-from, .history-to').forEach(input => {
+            input.addEventListener('change', () => this.refresh());
+        });
+
+        modal.querySelector('.history-more').addEventListener('click', () => {
+            this.refresh({ append: true });
+        });
+
+        modal.querySelector('.history-clear').addEventListener('click', async () => {
+            if (!confirm('Delete all stored query history?')) return;
+            try {
+                await AgentOrchestrator.historyStore.clear();
+            } catch (error) {
+                console.error('Failed to clear history:', error);
+                if (this.modal) {
+                    this.modal.querySelector('.history-summary').textContent = 'Query history could not be cleared.';
+                }
+                return;
+            }
+            this.refresh();
+        });
+
+        modal.querySelector('.history-results').addEventListener('click', (e) => {
+            const button = e.target.closest('.history-rerun');
+            if (!button) return;
+
+            const item = button.closest('.history-item');
+            const widgetId = item.querySelector('.history-target').value;
+            this.rerun(item.dataset.queryId, widgetId);
+        });
+    }
+
+    /**
+     * Read the filter form into a store query
+     */
+    getFilters() {
+        const value = selector => this.modal.querySelector(selector).value;
+        const status = value('.history-status');
+        const to = value('.history-to');
+
+        return {
+            text: value('.history-search'),
+            agentId: value('.history-agent') || undefined,
+            success: status ? status === 'success' : undefined,
+            from: value('.history-from') ? new Date(`${value('.history-from')}T00:00:00`) : undefined,
+            // Include the whole "to" day
+            to: to ? new Date(`${to}T23:59:59.999`) : undefined
+        };
+    }
+
+    /**
+     * Run the current filters and render the results
+     */
+    async refresh({ append = false } = {}) {
+        if (!this.modal) return;
+
+        const list = this.modal.querySelector('.history-results');
+        const offset = append ? list.children.length : 0;
+
+        let entries;
+        try {
+            entries = await AgentOrchestrator.historyStore.query({
+                ...this.getFilters(),
+                limit: this.pageSize + 1,
+                offset
+            });
+        } catch (error) {
+            console.error('Failed to query history:', error);
+            if (!this.modal) return;
+            this.modal.querySelector('.history-summary').textContent = 'Query history could not be read.';
+            return;
+        }
+
+        // The dialog may have closed while IndexedDB was busy
+        if (!this.modal) return;
+
+        const hasMore = entries.length > this.pageSize;
+        const page = entries.slice(0, this.pageSize);
+        const targets = this.getChatWidgets();
+
+        if (!append) list.innerHTML = '';
+        list.insertAdjacentHTML('beforeend', page.map(entry => this.renderEntry(entry, targets)).join(''));
+
+        const shown = list.children.length;
+        this.modal.querySelector('.history-more').hidden = !hasMore;
+        this.modal.querySelector('.history-summary').textContent = shown === 0 ?
+            'No past queries match these filters.' :
+            `Showing ${shown}${hasMore ? '+' : ''} ${shown === 1 ? 'query' : 'queries'}`;
+    }
+
+    renderEntry(entry, targets) {
+        const time = new Date(entry.timestamp).toLocaleString([], {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+        const agentNames = (entry.responseAgents.length > 0 ? entry.responseAgents : entry.agents)
+            .map(agentId => AICanvas.agents.get(agentId)?.name || agentId)
+            .join(', ');
+
+        const targetOptions = targets.map(widget =>
+            `<option value="${widget.id}" ${widget.id === entry.widgetId ? 'selected' : ''}>${this.escapeHtml(widget.title)}</option>`
+        ).join('');
+
+        return `
+            <li class="history-item ${entry.success ? '' : 'failed'}" data-query-id="${this.escapeHtml(entry.queryId)}">
+                <div class="history-meta">
+                    <time datetime="${entry.timestamp}">${time}</time>
+                    <span class="metric-badge ${entry.success ? 'success' : 'error'}">${entry.success ? 'Answered' : 'Failed'}</span>
+                    <span>${Math.round(entry.duration)}ms</span>
+                    ${agentNames ? `<span class="history-agents">${this.escapeHtml(agentNames)}</span>` : ''}
+                </div>
+                <p class="history-message">${this.escapeHtml(entry.message)}</p>
+                ${entry.answerPreview ? `<p class="history-answer">${this.escapeHtml(entry.answerPreview)}</p>` : ''}
+                <div class="history-actions">
+                    ${targets.length > 0 ? `
+                        <label class="sr-only" for="rerun-${this.escapeHtml(entry.queryId)}">Re-run in</label>
+                        <select id="rerun-${this.escapeHtml(entry.queryId)}" class="history-target">${targetOptions}</select>
+                        <button type="button" class="btn btn-primary history-rerun">Re-run</button>
+                    ` : '<span class="history-no-target">Add a chat widget to re-run queries</span>'}
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Send a stored query to a chat widget again
+     */
+    async rerun(queryId, widgetId) {
+        const entry = await AgentOrchestrator.historyStore.get(queryId);
+        if (!entry || !WidgetManager.widgets.has(widgetId)) return;
+
+        this.close();
+        WidgetManager.rerunQuery(widgetId, entry.message);
+    }
+
+    getChatWidgets() {
+        return Array.from(WidgetManager.widgets.values())
+            .filter(widget => widget.type === 'multi-agent-chat');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Create global instance
+window.HistoryBrowser = new HistoryBrowser();
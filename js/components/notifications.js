@@ -42,18 +42,7 @@ class NotificationManager {
      */
     setupEventListeners() {
         // Listen for system events that should trigger notifications
-        document.addEventListener('agent:status-changed', (event) => {
-            const { agentId, status } = event.detail;
-            if (status === 'offline' || status === 'error') {
-                this.show({
-                    type: 'warning',
-                    title: 'Agent Status',
-                    message: `${agentId} agent is now ${status}`,
-                    duration: 8000
-                });
-            }
-        });
-
+        // (agent status changes are announced by AICanvas)
         document.addEventListener('widget:created', (event) => {
             const { widget } = event.detail;
             this.show({
@@ -36,6 +36,11 @@ class SidebarManager {
             toggleBtn.addEventListener('click', this.toggleSidebar.bind(this));
         }
 
+        const historyBtn = document.querySelector('.history-open-button');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => HistoryBrowser.open());
+        }
+
         // Template drag and drop (handled by WidgetManager)
         // Preset changes
         const presetSelector = document.querySelector('.preset-selector');
@@ -52,13 +57,42 @@ class SidebarManager {
         if (!agentListContainer) return;
 
         // Load agents from global state
-        if (window.AICanvas && window.AICanvas.agents) {
+        if (window.AICanvas && window.AICanvas.agents.size > 0) {
             this.renderAgentList(agentListContainer);
-        } else {
-            // Listen for agents to be loaded
-            document.addEventListener('agents:loaded', () => {
+        }
+
+        // Re-render whenever the registry is (re)loaded or hot-reloaded
+        ['agents:loaded', 'agents:added', 'agents:removed', 'agents:updated'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
                 this.renderAgentList(agentListContainer);
             });
+        });
+
+        document.addEventListener('usage:updated', (event) => {
+            this.updateQuotaBadge(event.detail.agentId);
+        });
+
+        // Refresh the figures of agents whose metrics changed
+        document.addEventListener('metrics:updated', (event) => {
+            event.detail.agentIds.forEach(agentId => {
+                this.updateAgentStatus(agentId, AICanvas.agents.get(agentId)?.status || 'unknown');
+            });
+        });
+
+        const reloadButton = document.querySelector('.agent-reload-button');
+        if (reloadButton) {
+            reloadButton.addEventListener('click', async () => {
+                reloadButton.disabled = true;
+                const diff = await AICanvas.reloadAgentRegistry();
+                reloadButton.disabled = false;
+
+                if (diff) {
+                    const changed = diff.added.length + diff.removed.length + diff.updated.length;
+                    AICanvas.announceToScreenReader(changed > 0
+                        ? `Agents reloaded: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.updated.length} updated`
+                        : 'Agents reloaded, no changes');
+                }
+            });
         }
     }
 
@@ -67,59 +101,26 @@ class SidebarManager {
      */
     renderAgentList(container) {
         container.innerHTML = '';
+        this.agentStatusElements.clear();
 
-        const agents = [
-            {
-                id: 'workday',
-                name: 'Workday Assistant',
-                type: 'HR & Payroll',
-                status: 'online',
-                uptime: 98,
-                rating: 4.8,
-                lastResponse: '1.2s'
-            },
-            {
-                id: 'policy',
-                name: 'Policy Bot',
-                type: 'Knowledge & Compliance',
-                status: 'online',
-                uptime: 99,
-                rating: 4.9,
-                lastResponse: '0.8s'
-            },
-            {
-                id: 'healthcare',
-                name: 'Healthcare Bot',
-                type: 'Benefits & Wellness',
-                status: 'warning',
-                uptime: 85,
-                rating: 3.2,
-                lastResponse: '2.1s'
-            },
-            {
-                id: 'finance',
-                name: 'Finance Helper',
-                type: 'Budget & Expenses',
-                status: 'online',
-                uptime: 96,
-                rating: 4.6,
-                lastResponse: '1.5s'
-            },
-            {
-                id: 'guidewire',
-                name: 'Guidewire Bot',
-                type: 'Insurance Workflows',
-                status: 'offline',
-                uptime: 0,
-                rating: 0,
-                lastResponse: 'N/A'
-            }
-        ];
+        const agents = Array.from(AICanvas.agents.values()).map(agent => ({
+            id: agent.id,
+            name: agent.name,
+            type: agent.description || agent.type,
+            icon: agent.icon,
+            status: agent.status || 'unknown'
+        }));
 
         agents.forEach(agent => {
             const agentElement = this.createAgentElement(agent);
             container.appendChild(agentElement);
             this.agentStatusElements.set(agent.id, agentElement);
+
+            // Carry circuit breaker state over re-renders
+            const circuit = window.AgentOrchestrator?.circuitBreakers.getState(agent.id);
+            if (circuit && circuit !== 'closed') {
+                this.updateAgentStatus(agent.id, agent.status, circuit);
+            }
         });
     }
 
@@ -133,25 +134,19 @@ class SidebarManager {
         element.dataset.agentId = agent.id;
 
         const statusClass = this.getStatusClass(agent.status);
-        const metricsHtml = agent.status === 'offline' 
-            ? '<span class="metric-badge error">Offline</span>'
-            : `
-                <span class="metric-badge ${this.getUptimeClass(agent.uptime)}">${agent.uptime}%</span>
-                <span class="agent-rating">${agent.rating}★</span>
-                <span class="response-time">${agent.lastResponse}</span>
-            `;
 
         element.innerHTML = `
             <div class="agent-info">
                 <div class="status-indicator ${statusClass}" 
-                     aria-label="Agent status: ${agent.status}"></div>
+                     aria-label="Agent status: ${AgentStatus.getLabel(agent.status)}"></div>
+                ${agent.icon ? `<span class="agent-icon" aria-hidden="true">${this.escapeHtml(agent.icon)}</span>` : ''}
                 <div class="agent-details">
                     <div class="agent-name">${this.escapeHtml(agent.name)}</div>
                     <div class="agent-type">${this.escapeHtml(agent.type)}</div>
                 </div>
             </div>
             <div class="agent-metrics">
-                ${metricsHtml}
+                ${this.renderAgentMetrics(agent.id, agent.status)}
             </div>
         `;
 
@@ -175,14 +170,67 @@ class SidebarManager {
     /**
      * Get CSS class for agent status
      */
-    getStatusClass(status) {
-        switch (status) {
-            case 'online': return 'active';
-            case 'warning': return 'warning';
-            case 'offline':
-            case 'error':
-                return 'error';
-            default: return '';
+    getStatusClass(status, circuit = null) {
+        // An open circuit overrides the reported health status
+        if (circuit === 'open') return 'error';
+        if (circuit === 'half-open') return 'warning';
+        
+        return AgentStatus.getIndicatorClass(status);
+    }
+
+    /**
+     * Uptime, rating and last response time from the metrics registry,
+     * or a status badge for agents that can't take queries
+     */
+    renderAgentMetrics(agentId, status) {
+        if (AgentStatus.get(status).badge) {
+            return this.renderStatusBadge(status);
+        }
+
+        const metrics = window.AgentOrchestrator?.getAgentMetrics(agentId) || {};
+        const uptime = metrics.uptime ?? null;
+        const uptimeClass = uptime === null ? 'neutral' : this.getUptimeClass(uptime);
+
+        return `
+            <span class="metric-badge ${uptimeClass}" title="Share of healthy health checks">${uptime === null ? '–' : `${Math.round(uptime)}%`}</span>
+            ${this.renderQuotaBadge(agentId)}
+            <span class="agent-rating">${((metrics.reliability ?? 0) / 20).toFixed(1)}★</span>
+            <span class="response-time">${metrics.lastResponseTime
+                ? `${(metrics.lastResponseTime / 1000).toFixed(1)}s`
+                : 'N/A'}</span>
+        `;
+    }
+
+    /**
+     * Badge shown in place of metrics for statuses that can't take queries
+     */
+    renderStatusBadge(status) {
+        const { badge, label } = AgentStatus.get(status);
+        return `<span class="metric-badge status-badge ${badge}">${label}</span>`;
+    }
+
+    /**
+     * Badge with the requests left in an agent's daily quota, if it has one
+     */
+    renderQuotaBadge(agentId) {
+        const agent = AICanvas.agents.get(agentId);
+        if (!agent?.limits?.dailyQuota || !window.AgentOrchestrator) return '';
+
+        const { remaining, quota } = AgentOrchestrator.usageLimits.getUsage(agent);
+        let level = 'neutral';
+        if (remaining === 0) level = 'error';
+        else if (remaining / quota < 0.2) level = 'warning';
+
+        return `<span class="metric-badge quota-badge ${level}" title="${remaining} of ${quota} daily requests left">${remaining} left</span>`;
+    }
+
+    /**
+     * Refresh an agent's quota badge after it was used
+     */
+    updateQuotaBadge(agentId) {
+        const badge = this.agentStatusElements.get(agentId)?.querySelector('.quota-badge');
+        if (badge) {
+            badge.outerHTML = this.renderQuotaBadge(agentId);
         }
     }
 
@@ -303,56 +351,58 @@ class SidebarManager {
     /**
      * Update agent status display
      */
-    updateAgentStatus(agentId, status, metrics = {}) {
+    updateAgentStatus(agentId, status, circuit = null) {
         const element = this.agentStatusElements.get(agentId);
         if (!element) return;
 
+        // Track circuit state across events that don't carry it
+        if (circuit) {
+            element.dataset.circuit = circuit;
+        }
+        const circuitState = element.dataset.circuit || 'closed';
+
         // Update status indicator
 const statusIndicator = element.querySelector('.status-indicator');
        if (statusIndicator) {
-           statusIndicator.className = `status-indicator ${this.getStatusClass(status)}`;
-           statusIndicator.setAttribute('aria-label', `Agent status: ${status}`);
+           statusIndicator.className = `status-indicator ${this.getStatusClass(status, circuitState)}`;
+           const label = AgentStatus.getLabel(status);
+           statusIndicator.setAttribute('aria-label', circuitState === 'closed'
+               ? `Agent status: ${label}`
+               : `Agent status: ${label}, circuit ${circuitState}`);
        }
 
-       // Update metrics if provided
-       if (Object.keys(metrics).length > 0) {
-           const metricsContainer = element.querySelector('.agent-metrics');
-           if (metricsContainer && status !== 'offline') {
-               const uptime = metrics.uptime || 0;
-               const responseTime = metrics.responseTime || 0;
-               const reliability = metrics.reliability || 0;
-               
-               metricsContainer.innerHTML = `
-                   <span class="metric-badge ${this.getUptimeClass(uptime)}">${Math.round(uptime)}%</span>
-                   <span class="agent-rating">${(reliability / 20).toFixed(1)}★</span>
-                   <span class="response-time">${responseTime.toFixed(1)}ms</span>
-               `;
-           } else if (status === 'offline') {
-               metricsContainer.innerHTML = '<span class="metric-badge error">Offline</span>';
-           }
+       const metricsContainer = element.querySelector('.agent-metrics');
+       if (metricsContainer) {
+           metricsContainer.innerHTML = this.renderAgentMetrics(agentId, status);
        }
 
-       // Show notification for critical status changes
-       if (status === 'offline' || status === 'error') {
-           this.showAgentStatusNotification(agentId, status);
-       }
+       this.updateCircuitBadge(element, circuitState);
    }
 
    /**
-    * Show agent status notification
+    * Show or hide the circuit breaker badge on an agent item
     */
-   showAgentStatusNotification(agentId, status) {
-       const agentName = this.getAgentName(agentId);
-       const message = status === 'offline' 
-           ? `${agentName} is now offline`
-           : `${agentName} encountered an error`;
-       
-       NotificationManager.show({
-           type: 'warning',
-           title: 'Agent Status Change',
-           message,
-           duration: 5000
-       });
+   updateCircuitBadge(element, circuit) {
+       const metricsContainer = element.querySelector('.agent-metrics');
+       if (!metricsContainer) return;
+
+       let badge = metricsContainer.querySelector('.circuit-badge');
+
+       if (circuit === 'closed') {
+           if (badge) badge.remove();
+           return;
+       }
+
+       if (!badge) {
+           badge = document.createElement('span');
+           metricsContainer.prepend(badge);
+       }
+
+       badge.className = `metric-badge circuit-badge ${circuit === 'open' ? 'error' : 'warning'}`;
+       badge.textContent = circuit === 'open' ? 'Paused' : 'Probing';
+       badge.title = circuit === 'open'
+           ? 'Traffic paused after repeated failures'
+           : 'Sending a trial request to check recovery';
    }
 
    /**
@@ -378,8 +428,51 @@ const statusIndicator = element.querySelector('.status-indicator');
        // Focus management
        modal.focus();
        
+       // Keep the health chart current while the dialog is open
+       const handleHealthChecked = (e) => {
+           if (e.detail.agentId !== agentId) return;
+           const container = modal.querySelector('.health-history');
+           if (container) {
+               container.innerHTML = this.renderHealthHistory(agentId);
+           }
+       };
+       document.addEventListener('agent:health-checked', handleHealthChecked);
+       
+       const handleVaultChanged = () => {
+           const summary = modal.querySelector('.auth-summary');
+           if (summary) {
+               summary.innerHTML = this.renderAuthSummary(agentId);
+           }
+       };
+       document.addEventListener('vault:changed', handleVaultChanged);
+       
+       // Performance figures and response times follow each completed call
+       const handleMetricsUpdated = (e) => {
+           if (!e.detail.agentIds.includes(agentId)) return;
+           modal.querySelector('.performance-metrics .metrics-grid').innerHTML =
+               this.renderPerformanceMetrics(this.getAgentData(agentId));
+           modal.querySelector('.latency-distribution').innerHTML = this.renderLatencyDistribution(agentId);
+       };
+       document.addEventListener('metrics:updated', handleMetricsUpdated);
+       
+       modal.querySelector('.latency-export').addEventListener('click', (e) => {
+           const format = e.target.closest('[data-export]')?.dataset.export;
+           if (format) {
+               this.exportLatencyStats(agentId, format);
+           }
+       });
+       
+       modal.querySelector('.auth-summary')?.addEventListener('click', (e) => {
+           if (e.target.closest('.manage-credentials')) {
+               CredentialManager.open(agentId);
+           }
+       });
+       
        // Close handlers
        const closeModal = () => {
+           document.removeEventListener('agent:health-checked', handleHealthChecked);
+           document.removeEventListener('vault:changed', handleVaultChanged);
+           document.removeEventListener('metrics:updated', handleMetricsUpdated);
            modal.remove();
            // Return focus to agent item
            const agentElement = this.agentStatusElements.get(agentId);
@@ -388,7 +481,9 @@ const statusIndicator = element.querySelector('.status-indicator');
            }
        };
        
-       modal.querySelector('.modal-close').addEventListener('click', closeModal);
+       modal.querySelectorAll('.modal-close').forEach(button => {
+           button.addEventListener('click', closeModal);
+       });
        modal.addEventListener('keydown', (e) => {
            if (e.key === 'Escape') {
                closeModal();
@@ -427,7 +522,7 @@ const statusIndicator = element.querySelector('.status-indicator');
                    <div class="agent-overview">
                        <div class="status-section">
                            <div class="status-indicator ${this.getStatusClass(agentData.status)}"></div>
-                           <span class="status-text">${agentData.status.toUpperCase()}</span>
+                           <span class="status-text">${AgentStatus.getLabel(agentData.status).toUpperCase()}</span>
                        </div>
                        <div class="agent-meta">
                            <p><strong>Type:</strong> ${this.escapeHtml(agentData.type)}</p>
@@ -439,22 +534,32 @@ const statusIndicator = element.querySelector('.status-indicator');
                    <div class="performance-metrics">
                        <h3>Performance Metrics</h3>
                        <div class="metrics-grid">
-                           <div class="metric-item">
-                               <span class="metric-value">${agentData.uptime}%</span>
-                               <span class="metric-label">Uptime</span>
-                           </div>
-                           <div class="metric-item">
-                               <span class="metric-value">${agentData.avgResponseTime}ms</span>
-                               <span class="metric-label">Avg Response</span>
-                           </div>
-                           <div class="metric-item">
-                               <span class="metric-value">${agentData.totalQueries}</span>
-                               <span class="metric-label">Total Queries</span>
-                           </div>
-                           <div class="metric-item">
-                               <span class="metric-value">${agentData.successRate}%</span>
-                               <span class="metric-label">Success Rate</span>
-                           </div>
+                           ${this.renderPerformanceMetrics(agentData)}
+                       </div>
+                   </div>
+                   
+                   <div class="latency-section">
+                       <h3>Response Times</h3>
+                       <div class="latency-distribution">
+                           ${this.renderLatencyDistribution(agentId)}
+                       </div>
+                       <div class="latency-export">
+                           <button class="btn btn-secondary btn-sm" data-export="csv">Export CSV</button>
+                           <button class="btn btn-secondary btn-sm" data-export="json">Export JSON</button>
+                       </div>
+                   </div>
+                   
+                   ${AICanvas.agents.get(agentId)?.auth ? `
+                       <div class="auth-section">
+                           <h3>Authentication</h3>
+                           <div class="auth-summary">${this.renderAuthSummary(agentId)}</div>
+                       </div>
+                   ` : ''}
+                   
+                   <div class="health-section">
+                       <h3>Health History</h3>
+                       <div class="health-history">
+                           ${this.renderHealthHistory(agentId)}
                        </div>
                    </div>
                    
@@ -470,6 +575,7 @@ const statusIndicator = element.querySelector('.status-indicator');
                    <div class="recent-activity">
                        <h3>Recent Activity</h3>
                        <div class="activity-list">
+                           ${agentData.recentActivity.length === 0 ? '<p class="activity-empty">No queries yet this session.</p>' : ''}
                            ${agentData.recentActivity.map(activity => `
                                <div class="activity-item">
                                    <span class="activity-time">${activity.time}</span>
@@ -491,115 +597,215 @@ const statusIndicator = element.querySelector('.status-indicator');
        return modal;
    }
 
+   /**
+    * Uptime, average response, query count and success rate tiles
+    */
+   renderPerformanceMetrics(agentData) {
+       return `
+           <div class="metric-item">
+               <span class="metric-value">${agentData.uptime === null ? '–' : `${agentData.uptime}%`}</span>
+               <span class="metric-label">Uptime</span>
+           </div>
+           <div class="metric-item">
+               <span class="metric-value">${agentData.avgResponseTime}ms</span>
+               <span class="metric-label">Avg Response</span>
+           </div>
+           <div class="metric-item">
+               <span class="metric-value">${agentData.totalQueries}</span>
+               <span class="metric-label">Total Queries</span>
+           </div>
+           <div class="metric-item">
+               <span class="metric-value">${agentData.successRate}%</span>
+               <span class="metric-label">Success Rate</span>
+           </div>
+       `;
+   }
+
+   /**
+    * Chart an agent's recent health checks: one status cell per check
+    * with the latency of successful checks drawn over it
+    */
+   renderHealthHistory(agentId) {
+       const timeline = AICanvas.healthMonitor.getTimeline(agentId);
+       if (timeline.length === 0) {
+           return '<p class="activity-empty">No health checks yet.</p>';
+       }
+       
+       const width = 300;
+       const height = 60;
+       const cellWidth = width / timeline.length;
+       const latencies = timeline.map(check => check.latency).filter(latency => latency !== null);
+       const maxLatency = Math.max(1, ...latencies);
+       
+       const cells = timeline.map((check, index) => {
+           const state = AgentStatus.normalize(check.status);
+           const time = new Date(check.timestamp).toLocaleTimeString();
+           const detail = check.error || (check.latency !== null ? `${Math.round(check.latency)}ms` : '');
+           return `<rect class="health-cell ${state}" x="${(index * cellWidth).toFixed(2)}" y="0"
+               width="${Math.max(cellWidth - 1, 1).toFixed(2)}" height="${height}">
+               <title>${time}: ${AgentStatus.getLabel(state)}${detail ? ` (${this.escapeHtml(detail)})` : ''}</title></rect>`;
+       }).join('');
+       
+       const points = timeline
+           .map((check, index) => check.latency === null ? null :
+               `${((index + 0.5) * cellWidth).toFixed(2)},${(height - 4 - (check.latency / maxLatency) * (height - 8)).toFixed(2)}`)
+           .filter(Boolean)
+           .join(' ');
+       
+       const last = timeline[timeline.length - 1];
+       const failures = timeline.filter(check => !AgentStatus.isRoutable(check.status)).length;
+       const { interval } = AICanvas.healthMonitor.getSchedule(agentId);
+       
+       return `
+           <svg class="health-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"
+               role="img" aria-label="${timeline.length} health checks, ${failures} failed; latency peaked at ${Math.round(maxLatency)}ms">
+               ${cells}
+               ${points ? `<polyline class="health-latency" points="${points}"></polyline>` : ''}
+           </svg>
+           <p class="health-summary">
+               Last checked ${new Date(last.timestamp).toLocaleTimeString()}:
+               ${AgentStatus.getLabel(last.status).toLowerCase()}${last.latency !== null ? `, ${Math.round(last.latency)}ms` : ''}${last.version ? `, v${this.escapeHtml(last.version)}` : ''}.
+               ${last.error ? `${this.escapeHtml(last.error)}.` : ''}
+               Next check in ${Math.round(interval / 1000)}s.
+           </p>
+       `;
+   }
+
+   /**
+    * Show an agent's response-time percentiles and a histogram of its responses
+    */
+   renderLatencyDistribution(agentId) {
+       const latency = AgentMetrics.getHistogram('agent_response_time_ms', { agentId })?.getSummary();
+       if (!latency || latency.count === 0) {
+           return '<p class="activity-empty">No responses yet this session.</p>';
+       }
+       
+       const format = ms => ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${Math.round(ms)}ms`;
+       const width = 300;
+       const height = 60;
+       const barWidth = width / latency.histogram.length;
+       const maxCount = Math.max(1, ...latency.histogram.map(bucket => bucket.count));
+       
+       const bars = latency.histogram.map((bucket, index) => {
+           const barHeight = (bucket.count / maxCount) * (height - 2);
+           return `<rect class="latency-bar" x="${(index * barWidth + 1).toFixed(2)}" y="${(height - barHeight).toFixed(2)}"
+               width="${(barWidth - 2).toFixed(2)}" height="${barHeight.toFixed(2)}">
+               <title>${LatencyDistribution.formatBucket(bucket)}: ${bucket.count}</title></rect>`;
+       }).join('');
+       
+       return `
+           <div class="metrics-grid">
+               <div class="metric-item">
+                   <span class="metric-value">${format(latency.p50)}</span>
+                   <span class="metric-label">p50</span>
+               </div>
+               <div class="metric-item">
+                   <span class="metric-value">${format(latency.p90)}</span>
+                   <span class="metric-label">p90</span>
+               </div>
+               <div class="metric-item">
+                   <span class="metric-value">${format(latency.p99)}</span>
+                   <span class="metric-label">p99</span>
+               </div>
+               <div class="metric-item">
+                   <span class="metric-value">${format(latency.max)}</span>
+                   <span class="metric-label">Slowest</span>
+               </div>
+           </div>
+           <svg class="latency-histogram" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"
+               role="img" aria-label="Histogram of ${latency.count} response times: ${latency.histogram.map(bucket => `${LatencyDistribution.formatBucket(bucket)} ${bucket.count}`).join(', ')}">
+               ${bars}
+           </svg>
+           <div class="latency-axis" aria-hidden="true">
+               ${latency.histogram.map(bucket => `<span>${LatencyDistribution.formatBucket(bucket)}</span>`).join('')}
+           </div>
+       `;
+   }
+
+   /**
+    * Download one agent's response-time distribution
+    */
+   exportLatencyStats(agentId, format) {
+       const content = AgentOrchestrator.exportLatencyStats(format, [agentId]);
+       const blob = new Blob([content], {
+           type: format === 'csv' ? 'text/csv' : 'application/json'
+       });
+       
+       const url = URL.createObjectURL(blob);
+       const a = document.createElement('a');
+       a.href = url;
+       a.download = `aicanvas-latency-${agentId}-${Date.now()}.${format}`;
+       a.click();
+       
+       URL.revokeObjectURL(url);
+   }
+
+   /**
+    * Describe how an agent authenticates and whether its credentials are ready
+    */
+   renderAuthSummary(agentId) {
+       const { auth } = AICanvas.agents.get(agentId) || {};
+       if (!auth) return '';
+       
+       let state;
+       if (!CredentialVault.isUnlocked()) {
+           state = CredentialVault.exists() ? 'Vault locked' : 'No credentials saved';
+       } else {
+           state = CredentialVault.hasCredentials(agentId) ? 'Credentials saved' : 'No credentials saved';
+       }
+       
+       return `
+           <p><strong>Scheme:</strong> ${CredentialManager.SCHEME_LABELS[auth.scheme] || this.escapeHtml(auth.scheme)}</p>
+           <p><strong>Credentials:</strong> ${state}</p>
+           <button type="button" class="btn btn-secondary manage-credentials">Manage credentials</button>
+       `;
+   }
+
    /**
     * Get agent data for details modal
     */
    getAgentData(agentId) {
-       // Mock data - would come from API in real app
-       const agentDatabase = {
-           workday: {
-               name: 'Workday Assistant',
-               type: 'HR & Payroll',
-               status: 'online',
-               version: '2.1.0',
-               lastUpdated: '2025-06-15',
-               uptime: 98,
-               avgResponseTime: 1200,
-               totalQueries: 1543,
-               successRate: 97.2,
-               capabilities: ['Vacation Management', 'Payroll Queries', 'Benefits Information', 'Employee Records'],
-               recentActivity: [
-                   { time: '10:45 AM', description: 'Processed vacation request query' },
-                   { time: '10:32 AM', description: 'Retrieved employee benefits information' },
-                   { time: '10:18 AM', description: 'Calculated remaining PTO days' },
-                   { time: '09:55 AM', description: 'Answered payroll schedule question' }
-               ]
-           },
-           policy: {
-               name: 'Policy Bot',
-               type: 'Knowledge & Compliance',
-               status: 'online',
-               version: '1.8.3',
-               lastUpdated: '2025-06-18',
-               uptime: 99,
-               avgResponseTime: 800,
-               totalQueries: 2187,
-               successRate: 98.8,
-               capabilities: ['Policy Retrieval', 'Compliance Checking', 'Procedure Guidance', 'Document Search'],
-               recentActivity: [
-                   { time: '10:50 AM', description: 'Retrieved remote work policy' },
-                   { time: '10:35 AM', description: 'Explained expense reimbursement rules' },
-                   { time: '10:20 AM', description: 'Found security compliance requirements' },
-                   { time: '10:05 AM', description: 'Provided training completion guidelines' }
-               ]
-           },
-           healthcare: {
-               name: 'Healthcare Bot',
-               type: 'Benefits & Wellness',
-               status: 'warning',
-               version: '1.5.1',
-               lastUpdated: '2025-05-20',
-               uptime: 85,
-               avgResponseTime: 2100,
-               totalQueries: 892,
-               successRate: 89.3,
-               capabilities: ['Health Insurance', 'Wellness Programs', 'Medical Benefits', 'FSA/HSA'],
-               recentActivity: [
-                   { time: '10:12 AM', description: 'Health insurance query (slow response)' },
-                   { time: '09:45 AM', description: 'FSA balance inquiry' },
-                   { time: '09:30 AM', description: 'Wellness program enrollment' },
-                   { time: '09:15 AM', description: 'Medical coverage details' }
-               ]
-           },
-           finance: {
-               name: 'Finance Helper',
-               type: 'Budget & Expenses',
-               status: 'online',
-               version: '2.0.1',
-               lastUpdated: '2025-06-10',
-               uptime: 96,
-               avgResponseTime: 1500,
-               totalQueries: 1124,
-               successRate: 94.8,
-               capabilities: ['Budget Analysis', 'Expense Tracking', 'Financial Reports', 'Cost Analysis'],
-               recentActivity: [
-                   { time: '10:40 AM', description: 'Generated department budget report' },
-                   { time: '10:25 AM', description: 'Analyzed Q2 expenses' },
-                   { time: '10:10 AM', description: 'Expense approval workflow' },
-                   { time: '09:50 AM', description: 'Budget variance calculation' }
-               ]
-           },
-           guidewire: {
-               name: 'Guidewire Bot',
-               type: 'Insurance Workflows',
-               status: 'offline',
-               version: '1.2.0',
-               lastUpdated: '2025-04-15',
-               uptime: 0,
+       const agent = AICanvas.agents.get(agentId);
+       if (!agent) {
+           return {
+               name: agentId,
+               type: 'Unknown',
+               status: 'unknown',
+               version: 'N/A',
+               lastUpdated: 'N/A',
+               uptime: null,
                avgResponseTime: 0,
                totalQueries: 0,
                successRate: 0,
-               capabilities: ['Policy Management', 'Claims Processing', 'Underwriting', 'Billing'],
-               recentActivity: [
-                   { time: '8:30 AM', description: 'Connection timeout' },
-                   { time: '8:15 AM', description: 'Service unavailable' },
-                   { time: '8:00 AM', description: 'Failed health check' }
-               ]
-           }
-       };
+               capabilities: [],
+               recentActivity: []
+           };
+       }
+       
+       const metrics = AgentOrchestrator.getAgentMetrics(agentId);
+       const recentActivity = AgentOrchestrator.queryHistory
+           .filter(query => query.responseAgents.includes(agentId) || query.agents.includes(agentId))
+           .slice(-4)
+           .reverse()
+           .map(query => ({
+               time: new Date(query.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+               description: `${query.success ? 'Answered' : 'Failed'}: ${query.message}`
+           }));
        
-       return agentDatabase[agentId] || {
-           name: agentId,
-           type: 'Unknown',
-           status: 'unknown',
-           version: 'N/A',
-           lastUpdated: 'N/A',
-           uptime: 0,
-           avgResponseTime: 0,
-           totalQueries: 0,
-           successRate: 0,
-           capabilities: [],
-           recentActivity: []
+       return {
+           name: agent.name,
+           type: agent.description || agent.type,
+           status: agent.status || 'unknown',
+           version: agent.health?.version || agent.version || 'N/A',
+           lastUpdated: agent.updated || 'N/A',
+           uptime: metrics.uptime === null ? null : Math.round(metrics.uptime),
+           avgResponseTime: Math.round(metrics.averageResponseTime || 0),
+           totalQueries: metrics.totalQueries || 0,
+           successRate: metrics.totalQueries
+               ? Number(((metrics.successfulQueries / metrics.totalQueries) * 100).toFixed(1))
+               : 0,
+           capabilities: agent.capabilities || [],
+           recentActivity
        };
    }
 
@@ -614,24 +820,21 @@ const statusIndicator = element.querySelector('.status-indicator');
        }
        
        try {
-           // Simulate API call
-           await new Promise(resolve => setTimeout(resolve, 2000));
-           
-           // Random success/failure for demo
-           const success = Math.random() > 0.3;
+           const agent = AICanvas.agents.get(agentId);
+           const result = agent ? await AICanvas.checkAgentHealth(agent) : null;
            
-           if (success) {
+           if (result && AgentStatus.isRoutable(result.status)) {
                NotificationManager.show({
-                   type: 'success',
+                   type: result.degraded ? 'warning' : 'success',
                    title: 'Connection Test',
-                   message: `${this.getAgentName(agentId)} connection test successful`,
+                   message: `${this.getAgentName(agentId)} responded in ${Math.round(result.latency)}ms${result.degraded ? ' but reports degraded service' : ''}`,
                    duration: 3000
                });
            } else {
                NotificationManager.show({
                    type: 'error',
                    title: 'Connection Test',
-                   message: `${this.getAgentName(agentId)} connection test failed`,
+                   message: `${this.getAgentName(agentId)} connection test failed${result ? ` (${AgentStatus.getLabel(result.status).toLowerCase()})` : ''}${result?.error ? `: ${result.error}` : ''}`,
                    duration: 3000
                });
            }
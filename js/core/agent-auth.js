@@ -0,0 +1,214 @@
+/**
+ * Agent Authentication
+ * Turns an agent's `auth` config plus its secrets from the credential vault
+ * into request headers. Schemes: api-key, bearer, oauth2-client-credentials, hmac.
+ */
+
+class AgentAuthenticator {
+    constructor(vault) {
+        this.vault = vault;
+        this.tokens = new Map();        // agentId -> { accessToken, expiresAt }
+        this.tokenRequests = new Map(); // agentId -> pending token fetch
+        this.tokenExpiryMargin = 30000; // Refresh OAuth tokens this long before they expire
+
+        // Tokens were issued for the old secrets
+        document.addEventListener('vault:changed', (event) => {
+            const { state, agentId } = event.detail;
+            if (agentId) {
+                this.tokens.delete(agentId);
+            } else if (state === 'locked') {
+                this.tokens.clear();
+            }
+        });
+    }
+
+    /**
+     * Does this agent need credentials?
+     */
+    requiresAuth(agent) {
+        return Boolean(agent.auth?.scheme);
+    }
+
+    /**
+     * Build the auth headers for one request.
+     * `request` is { method, url, body } so HMAC can sign exactly what is sent.
+     */
+    async getHeaders(agent, request = {}) {
+        if (!this.requiresAuth(agent)) return {};
+
+        const { auth } = agent;
+        const credentials = this.getCredentials(agent);
+
+        switch (auth.scheme) {
+            case 'api-key':
+                return { [auth.header || 'X-API-Key']: credentials.apiKey };
+            case 'bearer':
+                return { Authorization: `Bearer ${credentials.token}` };
+            case 'oauth2-client-credentials':
+                return { Authorization: `Bearer ${await this.getAccessToken(agent, credentials)}` };
+            case 'hmac':
+                return this.sign(agent, credentials, request);
+            default:
+                throw new AgentRequestError(`Agent ${agent.id} uses unsupported auth scheme "${auth.scheme}"`, {
+                    type: AgentRequestError.TYPES.UNAUTHORIZED,
+                    agentId: agent.id
+                });
+        }
+    }
+
+    /**
+     * Secrets needed by each scheme; the credential form asks for these
+     */
+    getCredentialFields(scheme) {
+        return AgentAuthenticator.CREDENTIAL_FIELDS[scheme] || [];
+    }
+
+    /**
+     * Read the agent's secrets, failing with a clear error when they're unavailable
+     */
+    getCredentials(agent) {
+        const name = agent.name || agent.id;
+
+        if (!this.vault.isUnlocked()) {
+            throw new AgentRequestError(`Unlock the credential vault to use ${name}`, {
+                type: AgentRequestError.TYPES.UNAUTHORIZED,
+                agentId: agent.id
+            });
+        }
+
+        const credentials = this.vault.getCredentials(agent.id);
+        const missing = this.getCredentialFields(agent.auth.scheme)
+            .filter(field => field.required && !credentials?.[field.name]);
+
+        if (!credentials || missing.length > 0) {
+            throw new AgentRequestError(`No credentials saved for ${name}`, {
+                type: AgentRequestError.TYPES.UNAUTHORIZED,
+                agentId: agent.id
+            });
+        }
+
+        return credentials;
+    }
+
+    /**
+     * Get a cached OAuth2 access token, fetching a new one when it's about to expire
+     */
+    async getAccessToken(agent, credentials) {
+        const cached = this.tokens.get(agent.id);
+        if (cached && cached.expiresAt - this.tokenExpiryMargin > Date.now()) {
+            return cached.accessToken;
+        }
+
+        // Concurrent requests share one token fetch
+        if (!this.tokenRequests.has(agent.id)) {
+            const request = this.fetchAccessToken(agent, credentials)
+                .finally(() => this.tokenRequests.delete(agent.id));
+            this.tokenRequests.set(agent.id, request);
+        }
+
+        return this.tokenRequests.get(agent.id);
+    }
+
+    async fetchAccessToken(agent, credentials) {
+        const { tokenUrl, scope } = agent.auth;
+        if (!tokenUrl) {
+            throw new AgentRequestError(`Agent ${agent.id} has no OAuth2 token URL configured`, {
+                type: AgentRequestError.TYPES.UNAUTHORIZED,
+                agentId: agent.id
+            });
+        }
+
+        const body = new URLSearchParams({ grant_type: 'client_credentials' });
+        if (scope) body.set('scope', scope);
+
+        const response = await fetch(tokenUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json',
+                Authorization: `Basic ${btoa(`${credentials.clientId}:${credentials.clientSecret}`)}`
+            },
+            body
+        });
+
+        if (!response.ok) {
+            throw new AgentRequestError(`Token request for ${agent.name || agent.id} failed (HTTP ${response.status})`, {
+                type: response.status >= 500 ? AgentRequestError.TYPES.UNAVAILABLE : AgentRequestError.TYPES.UNAUTHORIZED,
+                agentId: agent.id,
+                status: response.status
+            });
+        }
+
+        const token = await response.json();
+        this.tokens.set(agent.id, {
+            accessToken: token.access_token,
+            expiresAt: Date.now() + (token.expires_in || 3600) * 1000
+        });
+
+        return token.access_token;
+    }
+
+    /**
+     * Drop a cached token the agent rejected, so the next request fetches a new one
+     */
+    invalidateToken(agentId) {
+        this.tokens.delete(agentId);
+    }
+
+    /**
+     * HMAC-SHA256 signature over method, path, timestamp and a body hash:
+     * "POST\n/query\n1700000000\n<hex sha256 of body>"
+     */
+    async sign(agent, credentials, { method = 'GET', url = agent.endpoint, body = '' }) {
+        const { auth } = agent;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const path = new URL(url, window.location.href).pathname;
+        const bodyHash = this.toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body || '')));
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(credentials.secret),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const signature = await crypto.subtle.sign(
+            'HMAC',
+            key,
+            new TextEncoder().encode([method.toUpperCase(), path, timestamp, bodyHash].join('\n'))
+        );
+
+        const headers = {
+            [auth.signatureHeader || 'X-Signature']: this.toHex(signature),
+            [auth.timestampHeader || 'X-Timestamp']: timestamp
+        };
+        if (credentials.keyId) {
+            headers[auth.keyIdHeader || 'X-Key-Id'] = credentials.keyId;
+        }
+        return headers;
+    }
+
+    toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+AgentAuthenticator.CREDENTIAL_FIELDS = {
+    'api-key': [
+        { name: 'apiKey', label: 'API key', required: true }
+    ],
+    'bearer': [
+        { name: 'token', label: 'Bearer token', required: true }
+    ],
+    'oauth2-client-credentials': [
+        { name: 'clientId', label: 'Client ID', required: true },
+        { name: 'clientSecret', label: 'Client secret', required: true }
+    ],
+    'hmac': [
+        { name: 'keyId', label: 'Key ID', required: false },
+        { name: 'secret', label: 'Signing secret', required: true }
+    ]
+};
+
+// Create global instance
+window.AgentAuth = new AgentAuthenticator(window.CredentialVault);
@@ -8,21 +8,53 @@ class AgentOrchestrator {
         this.agents = new Map();
         this.routingEngine = null;
         this.activeQueries = new Map();
-        this.queryHistory = [];
-        this.performanceMetrics = new Map();
+        this.queryHistory = []; // This session; the full history lives in historyStore
+        this.historyStore = new QueryHistoryStore();
+        this.metrics = window.AgentMetrics;
+        this.recentResponseTimes = new Map(); // agentId -> latest successful response times, for reliability
+        this.circuitBreakers = new CircuitBreakerRegistry();
         
         // Configuration
         this.config = {
             maxConcurrentQueries: 10,
+            maxConcurrentPerAgent: 4,
             defaultTimeout: 30000,
             retryAttempts: 3,
+            retryBaseDelay: 500,
+            retryMaxDelay: 8000,
+            sequentialConfidenceThreshold: 0.9,
+            synthesisStrategy: 'concatenate',
+            synthesisAgent: null,
             enableSmartRouting: true,
-            enableCaching: true
+            enableCaching: true,
+            cacheMaxEntries: 200,
+            cacheTtl: 300000, // 5 minutes; agents can override with limits.cacheTtl
+            persistCache: true, // Keep cached answers in IndexedDB across reloads
+            reliabilityWindow: 20, // Successful responses whose median response time feeds reliability
+            userDailyQuota: null, // Requests per day across all agents; agents set their own with limits.dailyQuota
+            currency: 'USD', // Of agent pricing and budgets
+            budgets: { daily: null, monthly: null } // Token spend that triggers warnings at 80% and 100%; defaults for costLedger.setBudgets()
         };
         
+        // Concurrency limits: queries overall, then requests per agent
+        this.queryLimiter = new ConcurrencyLimiter(this.config.maxConcurrentQueries);
+        this.agentLimiters = new Map();
+        
+        // Rate limits and daily quotas from the registry's agent limits
+        this.usageLimits = new UsageLimiter({ userDailyQuota: this.config.userDailyQuota });
+        
+        // Token usage and spend, priced with the registry's agent pricing
+        this.costLedger = new CostLedger({
+            currency: this.config.currency,
+            budgets: this.config.budgets
+        });
+        
         // Response cache
-        this.responseCache = new Map();
-        this.cacheExpiry = 300000; // 5 minutes
+        this.responseCache = new ResponseCache({
+            maxEntries: this.config.cacheMaxEntries,
+            defaultTtl: this.config.cacheTtl,
+            store: this.config.persistCache ? new ResponseCacheStore() : null
+        });
     }
 
     /**
@@ -33,14 +65,18 @@ class AgentOrchestrator {
             this.agents = agentMap;
             
             // Initialize routing engine
-            this.routingEngine = new SmartRoutingEngine();
+            this.routingEngine = new SmartRoutingEngine({
+                circuitBreakers: this.circuitBreakers,
+                agents: this.agents
+            });
             await this.routingEngine.initialize();
             
             // Set up event listeners
             this.setupEventListeners();
             
-            // Initialize performance tracking
-            this.initializePerformanceTracking();
+            // History and the persisted cache are secondary; don't hold up startup on IndexedDB
+            this.initializeHistory();
+            this.responseCache.restore(entry => this.isCacheEntryCurrent(entry));
             
             console.log('Agent Orchestrator initialized with', this.agents.size, 'agents');
             
@@ -50,6 +86,29 @@ class AgentOrchestrator {
         }
     }
 
+    /**
+     * Open the history store, move history saved by older versions into it
+     * and apply the retention policy
+     */
+    async initializeHistory() {
+        try {
+            if (!(await this.historyStore.open())) return;
+            
+            const savedState = JSON.parse(localStorage.getItem('aicanvas_workspace') || 'null');
+            const legacyHistory = savedState?.agentConfigurations?.queryHistory;
+            if (Array.isArray(legacyHistory) && legacyHistory.length > 0) {
+                await Promise.all(legacyHistory.map(entry => this.historyStore.add(entry)));
+                delete savedState.agentConfigurations.queryHistory;
+                localStorage.setItem('aicanvas_workspace', JSON.stringify(savedState));
+            }
+            
+            await this.historyStore.applyRetention();
+            await this.costLedger.load(this.historyStore);
+        } catch (error) {
+            console.warn('Failed to initialize query history:', error);
+        }
+    }
+
     /**
      * Set up event listeners
      */
@@ -63,23 +122,32 @@ class AgentOrchestrator {
         document.addEventListener('widget:agent-query', (event) => {
             this.processQuery(event.detail);
         });
-    }
-
-    /**
-     * Initialize performance tracking
-     */
-    initializePerformanceTracking() {
-        this.agents.forEach((agent, agentId) => {
-            this.performanceMetrics.set(agentId, {
-                totalQueries: 0,
-                successfulQueries: 0,
-                averageResponseTime: 0,
-                errorRate: 0,
-                lastResponseTime: 0,
-                uptime: 100,
-                reliability: 100
+        
+        // Agent registry hot-reload (this.agents is shared with AICanvas)
+        document.addEventListener('agents:added', () => {
+            this.routingEngine.loadAgentCapabilities();
+        });
+        
+        document.addEventListener('agents:removed', (event) => {
+            this.handleAgentsRemoved(event.detail.agentIds);
+        });
+        
+        document.addEventListener('agents:updated', (event) => {
+            this.routingEngine.loadAgentCapabilities();
+            
+            // A new agent version may answer differently
+            Object.entries(event.detail.changes || {}).forEach(([agentId, changes]) => {
+                if (changes.includes('version')) {
+                    this.invalidateCache({ agentId, reason: 'version' });
+                }
             });
         });
+        
+        // Answer feedback from chat widgets
+        document.addEventListener('widget:query-feedback', (event) => {
+            const { queryId, rating, agentId } = event.detail;
+            this.recordFeedback(queryId, rating, agentId);
+        });
     }
 
     /**
@@ -88,6 +156,9 @@ class AgentOrchestrator {
     async processQuery(queryData) {
         const queryId = this.generateQueryId();
         const startTime = performance.now();
+        const controller = new AbortController();
+        let releaseSlot = null;
+        let routingPlan = null;
         
         try {
             // Validate query
@@ -95,27 +166,48 @@ class AgentOrchestrator {
                 throw new Error('Invalid query format');
             }
             
-            // Check cache if enabled
-            if (this.config.enableCaching) {
+            // Check cache if enabled; "refresh" skips it
+            if (this.config.enableCaching && !queryData.bypassCache) {
                 const cachedResponse = this.getCachedResponse(queryData);
                 if (cachedResponse) {
-                    this.deliverResponse(queryData.widgetId, cachedResponse);
-                    return;
+                    this.deliverResponse(queryData.widgetId, cachedResponse, queryId, queryData.message, queryData.context);
+                    this.logQuery(queryId, queryData, cachedResponse, performance.now() - startTime);
+                    return cachedResponse;
                 }
             }
             
             // Register active query
             this.activeQueries.set(queryId, {
                 ...queryData,
+                queryId,
                 startTime,
-                status: 'processing'
+                status: 'queued',
+                controller,
+                agentControllers: new Map(),
+                usage: {}, // agentId -> tokens, including synthesis and sequential calls
+                calls: []  // { agentId, success, responseTime } per agent request
             });
             
+            // Wait for a global slot; queued queries can still be cancelled
+            releaseSlot = await this.queryLimiter.acquire({
+                priority: queryData.priority || 0,
+                signal: controller.signal,
+                onPosition: (ahead) => this.deliverQueuePosition(queryId, queryData.widgetId, ahead)
+            });
+            this.startQuery(queryId);
+            
             // Route query to appropriate agents
-            const routingPlan = await this.createRoutingPlan(queryData);
+            routingPlan = await this.createRoutingPlan(queryData);
             
             // Execute query plan
             const response = await this.executeQueryPlan(queryId, routingPlan);
+            response.routing = this.completeRoutingTrace(routingPlan.trace, response);
+            response.usage = this.activeQueries.get(queryId).usage;
+            
+            // Drop answers for queries cancelled while agents were working
+            if (controller.signal.aborted) {
+                return null;
+            }
             
             // Cache response if appropriate
             if (this.config.enableCaching && this.shouldCacheResponse(response)) {
@@ -123,29 +215,161 @@ class AgentOrchestrator {
             }
             
             // Deliver response
-            this.deliverResponse(queryData.widgetId, response);
-            
-            // Update performance metrics
-            this.updatePerformanceMetrics(routingPlan.agents, startTime, true);
+            this.deliverResponse(queryData.widgetId, response, queryId, queryData.message, queryData.context);
             
             // Log query for analysis
             this.logQuery(queryId, queryData, response, performance.now() - startTime);
             
+            return response;
+            
         } catch (error) {
+            // Cancellation was already reported by cancelQuery
+            if (controller.signal.aborted) {
+                return null;
+            }
+            
             console.error('Query processing failed:', error);
             
-            // Update performance metrics for failure
-            this.updatePerformanceMetrics(queryData.agents || [], startTime, false);
+            this.logQuery(queryId, queryData, {
+                content: AgentRequestError.from(error).message,
+                error: true
+            }, performance.now() - startTime);
             
             // Deliver error response
-            this.deliverErrorResponse(queryData.widgetId, error);
+            this.deliverErrorResponse(queryData.widgetId, error, queryId, routingPlan?.trace);
             
         } finally {
             // Clean up active query
+            releaseSlot?.();
             this.activeQueries.delete(queryId);
         }
     }
 
+    /**
+     * Mark a query as running, telling the widget if it had been queued
+     */
+    startQuery(queryId) {
+        const query = this.activeQueries.get(queryId);
+        if (!query) return;
+        
+        const wasQueued = query.queuedAhead !== undefined;
+        query.status = 'processing';
+        delete query.queuedAhead;
+        
+        if (wasQueued) {
+            this.deliverQueuePosition(queryId, query.widgetId, null);
+        }
+    }
+
+    /**
+     * Report queue position to the widget; ahead === null means the wait is over.
+     * `retryIn` is set while an agent's rate limit holds the request back.
+     */
+    deliverQueuePosition(queryId, widgetId, ahead, agentId = null, retryIn = null) {
+        const query = this.activeQueries.get(queryId);
+        if (!query || query.controller.signal.aborted) return;
+        
+        if (ahead !== null && !agentId) {
+            query.queuedAhead = ahead;
+        }
+        
+        document.dispatchEvent(new CustomEvent('agent:query-queued', {
+            detail: {
+                queryId,
+                widgetId,
+                agentId,
+                queued: ahead !== null,
+                ahead,
+                retryIn
+            }
+        }));
+    }
+
+    /**
+     * Get (or create) the request limiter for an agent
+     */
+    getAgentLimiter(agent) {
+        const maxConcurrent = agent.limits?.maxConcurrent || this.config.maxConcurrentPerAgent;
+        let limiter = this.agentLimiters.get(agent.id);
+        
+        if (!limiter) {
+            limiter = new ConcurrencyLimiter(maxConcurrent);
+            this.agentLimiters.set(agent.id, limiter);
+        } else if (limiter.maxConcurrent !== maxConcurrent) {
+            limiter.setMaxConcurrent(maxConcurrent);
+        }
+        
+        return limiter;
+    }
+
+    /**
+     * Get global and per-agent queue usage
+     */
+    getQueueStats() {
+        const agents = {};
+        this.agentLimiters.forEach((limiter, agentId) => {
+            agents[agentId] = limiter.getStats();
+        });
+        
+        return {
+            queries: this.queryLimiter.getStats(),
+            agents,
+            usage: this.usageLimits.getSnapshot()
+        };
+    }
+
+    /**
+     * Cancel an in-flight query
+     */
+    cancelQuery(queryId, reason = 'Query cancelled') {
+        const query = this.activeQueries.get(queryId);
+        if (!query || query.controller.signal.aborted) return false;
+        
+        query.status = 'cancelled';
+        query.controller.abort(new DOMException(reason, 'AbortError'));
+        
+        document.dispatchEvent(new CustomEvent('agent:query-cancelled', {
+            detail: {
+                queryId,
+                widgetId: query.widgetId,
+                reason,
+                timestamp: new Date().toISOString()
+            }
+        }));
+        
+        return true;
+    }
+
+    /**
+     * Cancel every in-flight query started by a widget
+     */
+    cancelQueriesForWidget(widgetId, reason = 'Query cancelled') {
+        let cancelled = 0;
+        
+        this.getActiveQueriesForWidget(widgetId).forEach(queryId => {
+            if (this.cancelQuery(queryId, reason)) {
+                cancelled++;
+            }
+        });
+        
+        return cancelled;
+    }
+
+    /**
+     * Get IDs of in-flight queries started by a widget
+     */
+    getActiveQueriesForWidget(widgetId) {
+        const queryIds = [];
+        
+        this.activeQueries.forEach((query, queryId) => {
+            if (query.widgetId === widgetId && query.status !== 'cancelled') {
+                queryIds.push(queryId);
+            }
+        });
+        
+        return queryIds;
+    }
+
     /**
      * Validate query data
      */
@@ -156,35 +380,237 @@ class AgentOrchestrator {
     }
 
     /**
-     * Create routing plan for query
+     * Create routing plan for query. Every plan carries a `trace` explaining
+     * which agents were picked, why, and which were left out.
      */
     async createRoutingPlan(queryData) {
         if (!this.config.enableSmartRouting || !queryData.agents || queryData.agents.length === 0) {
             // Use smart routing to determine best agents
-            const recommendedAgents = await this.routingEngine.recommendAgents(queryData.message);
+            const excluded = this.getRoutingExclusions(Array.from(this.agents.keys()));
+            const routable = Array.from(this.agents.keys()).filter(agentId =>
+                !excluded.some(exclusion => exclusion.agentId === agentId)
+            );
+            const { classification, fallback, unused } = this.classifyHealthyFirst(queryData.message, routable);
+            const recommendedAgents = classification.agents.map(result => result.agentId);
+            
+            if (recommendedAgents.length === 0) {
+                throw new AgentRequestError('No available agents for this query', {
+                    type: AgentRequestError.TYPES.UNAVAILABLE,
+                    retryable: false
+                });
+            }
             return {
                 strategy: 'smart',
                 agents: recommendedAgents,
                 parallel: true,
-                timeout: this.config.defaultTimeout
+                timeout: this.config.defaultTimeout,
+                trace: this.createRoutingTrace('smart', recommendedAgents, {
+                    candidates: classification.agents,
+                    excluded: [...excluded, ...unused],
+                    fallback
+                })
             };
         }
         
-        // Use specified agents
-        const availableAgents = queryData.agents.filter(agentId => {
-            const agent = this.agents.get(agentId);
-            return agent && agent.status === 'online';
-        });
+        // Use specified agents, skipping those that can't take queries or whose circuit is open
+        const excluded = this.getRoutingExclusions(queryData.agents);
+        const availableAgents = queryData.agents.filter(agentId =>
+            !excluded.some(exclusion => exclusion.agentId === agentId)
+        );
         
         if (availableAgents.length === 0) {
             throw new Error('No available agents for this query');
         }
         
+        // Degraded agents only answer when no healthy agent can
+        const { healthy, degraded } = this.partitionByStatus(availableAgents);
+        
+        switch (queryData.routingMode) {
+            case 'smart':
+                return await this.createSmartPlan(queryData, availableAgents, excluded);
+            case 'sequential': {
+                // Degraded agents go last, so they're only asked if the others fall short
+                const agents = [...healthy, ...degraded];
+                return {
+                    strategy: 'sequential',
+                    agents,
+                    parallel: false,
+                    confidenceThreshold: queryData.confidenceThreshold ?? this.config.sequentialConfidenceThreshold,
+                    timeout: this.config.defaultTimeout,
+                    trace: this.createRoutingTrace('sequential', agents, {
+                        excluded,
+                        fallback: degraded.length > 0 ? 'Degraded agents are asked last, as a fallback' : null
+                    })
+                };
+            }
+            default: {
+                const agents = healthy.length > 0 ? healthy : degraded;
+                return {
+                    strategy: 'specified',
+                    agents,
+                    parallel: agents.length > 1,
+                    timeout: this.config.defaultTimeout,
+                    trace: this.createRoutingTrace('specified', agents, {
+                        excluded: [...excluded, ...this.describeUnusedDegraded(degraded, agents)],
+                        fallback: healthy.length === 0 ? 'No healthy agent was available, so degraded agents answered' : null
+                    })
+                };
+            }
+        }
+    }
+
+    /**
+     * Create smart plan limited to the agents a widget has enabled
+     */
+    async createSmartPlan(queryData, availableAgents, excluded = []) {
+        const notEnabled = Array.from(this.agents.keys())
+            .filter(agentId => !queryData.agents.includes(agentId))
+            .map(agentId => this.describeExclusion(agentId, 'not enabled in this widget'));
+        
+        const routed = this.classifyHealthyFirst(queryData.message, availableAgents);
+        let agents = routed.classification.agents.map(result => result.agentId);
+        let { fallback, unused } = routed;
+        
+        // Nothing matched: fall back to everything the widget enabled, healthy agents first
+        if (agents.length === 0) {
+            const { healthy, degraded } = this.partitionByStatus(availableAgents);
+            agents = healthy.length > 0 ? healthy : degraded;
+            unused = this.describeUnusedDegraded(degraded, agents);
+            fallback = 'No agent matched confidently, so every enabled agent answered';
+        }
+        
+        return {
+            strategy: 'smart',
+            agents,
+            parallel: agents.length > 1,
+            timeout: this.config.defaultTimeout,
+            trace: this.createRoutingTrace('smart', agents, {
+                candidates: routed.classification.agents,
+                excluded: [...excluded, ...unused, ...notEnabled],
+                fallback
+            })
+        };
+    }
+
+    /**
+     * Classify a message among routable agents, only turning to degraded
+     * agents when no healthy one matches. Returns the classification, the
+     * fallback note for the trace, and exclusions for degraded agents left out.
+     */
+    classifyHealthyFirst(message, routableAgents) {
+        const { healthy, degraded } = this.partitionByStatus(routableAgents);
+        const allAgents = Array.from(this.agents.keys());
+        const classifyAmong = candidates => this.routingEngine.classify(
+            message,
+            allAgents.filter(agentId => !candidates.includes(agentId))
+        );
+        
+        let classification = classifyAmong(healthy);
+        let fallback = classification.fallback ?
+            'No agent matched confidently, so the general-purpose agents answered' : null;
+        
+        if (classification.agents.length === 0 && degraded.length > 0) {
+            classification = classifyAmong(degraded);
+            fallback = 'No healthy agent matched, so degraded agents answered as a fallback';
+        }
+        
+        const chosen = classification.agents.map(result => result.agentId);
+        return {
+            classification,
+            fallback,
+            unused: this.describeUnusedDegraded(degraded, chosen)
+        };
+    }
+
+    /**
+     * Split agents into healthy ones and degraded ones kept as fallbacks
+     */
+    partitionByStatus(agentIds) {
+        const healthy = [];
+        const degraded = [];
+        agentIds.forEach(agentId => {
+            const status = this.agents.get(agentId)?.status;
+            (AgentStatus.isFallbackOnly(status) ? degraded : healthy).push(agentId);
+        });
+        return { healthy, degraded };
+    }
+
+    describeUnusedDegraded(degraded, chosen) {
+        return degraded
+            .filter(agentId => !chosen.includes(agentId))
+            .map(agentId => this.describeExclusion(agentId, 'agent is degraded, so it only answers as a fallback'));
+    }
+
+    /**
+     * List agents that can't take a query right now, with the reason
+     */
+    getRoutingExclusions(agentIds) {
+        return agentIds.reduce((exclusions, agentId) => {
+            const agent = this.agents.get(agentId);
+            if (!agent) {
+                exclusions.push(this.describeExclusion(agentId, 'not in the agent registry'));
+            } else if (!AgentStatus.isRoutable(agent.status)) {
+                exclusions.push(this.describeExclusion(agentId, `agent is ${AgentStatus.getLabel(agent.status).toLowerCase()}`));
+            } else if (!this.circuitBreakers.canRoute(agentId)) {
+                exclusions.push(this.describeExclusion(agentId, 'disabled after repeated failures'));
+            }
+            return exclusions;
+        }, []);
+    }
+
+    describeExclusion(agentId, reason) {
+        return {
+            agentId,
+            agentName: this.agents.get(agentId)?.name || agentId,
+            reason
+        };
+    }
+
+    /**
+     * Build the routing trace attached to responses for the "Why these agents?" panel
+     */
+    createRoutingTrace(strategy, agents, { candidates = [], excluded = [], fallback = null } = {}) {
+        const scores = new Map(candidates.map(candidate => [candidate.agentId, candidate]));
+        
         return {
-            strategy: 'specified',
-            agents: availableAgents,
-            parallel: availableAgents.length > 1,
-            timeout: this.config.defaultTimeout
+            strategy,
+            agents: agents.map(agentId => {
+                const candidate = scores.get(agentId);
+                return {
+                    agentId,
+                    agentName: this.agents.get(agentId)?.name || agentId,
+                    score: candidate?.score ?? null,
+                    confidence: candidate?.confidence ?? null,
+                    matchedTerms: candidate?.matchedTerms || [],
+                    explanation: candidate?.explanation || null
+                };
+            }),
+            excluded,
+            fallback
+        };
+    }
+
+    /**
+     * Record how each routed agent fared once the plan has run
+     */
+    completeRoutingTrace(trace, response) {
+        const answered = response.agents || trace.agents.map(agent => agent.agentId);
+        const outranked = (response.alternatives || []).map(alternative => alternative.agentId);
+        
+        return {
+            ...trace,
+            agents: trace.agents.map(agent => {
+                let outcome = 'failed';
+                if (answered.includes(agent.agentId)) {
+                    outcome = 'answered';
+                } else if (outranked.includes(agent.agentId)) {
+                    outcome = 'outranked';
+                } else if (response.stoppedEarly) {
+                    outcome = 'skipped';
+                }
+                return { ...agent, outcome };
+            }),
+            stoppedEarly: Boolean(response.stoppedEarly)
         };
     }
 
@@ -194,7 +620,10 @@ class AgentOrchestrator {
     async executeQueryPlan(queryId, plan) {
         const activeQuery = this.activeQueries.get(queryId);
         
-        if (plan.parallel && plan.agents.length > 1) {
+        if (plan.strategy === 'sequential') {
+            // Execute queries one agent at a time
+            return await this.executeSequentialQueries(activeQuery, plan);
+        } else if (plan.parallel && plan.agents.length > 1) {
             // Execute queries in parallel
             return await this.executeParallelQueries(activeQuery, plan);
         } else {
@@ -234,204 +663,399 @@ class AgentOrchestrator {
             });
             
             if (successfulResults.length === 0) {
-                throw new Error('All agents failed to respond');
+                throw this.combineAgentErrors(errors);
             }
             
             // Synthesize responses
-            return this.synthesizeResponses(successfulResults, queryData);
+            return await this.synthesizeResponses(successfulResults, queryData);
           } catch (error) {
            console.error('Parallel query execution failed:', error);
            throw error;
        }
    }
 
+   /**
+    * Execute queries one agent at a time, passing earlier answers as context
+    * and stopping once an answer is confident enough
+    */
+   async executeSequentialQueries(queryData, plan) {
+       const results = [];
+       const errors = [];
+       let stoppedEarly = false;
+       
+       for (const agentId of plan.agents) {
+           const agentQuery = {
+               ...queryData,
+               context: {
+                   ...(queryData.context || {}),
+                   previousAnswers: results.map(result => ({
+                       agentId: result.agentId,
+                       agentName: this.agents.get(result.agentId)?.name || result.agentId,
+                       content: result.content,
+                       confidence: result.confidence
+                   }))
+               }
+           };
+           
+           try {
+               const result = await this.executeSingleQuery(agentQuery, agentId);
+               results.push({ agentId, ...result });
+               
+               if (result.confidence >= plan.confidenceThreshold) {
+                   stoppedEarly = results.length < plan.agents.length;
+                   break;
+               }
+           } catch (error) {
+               // A cancelled query stops the chain; other failures move on to the next agent
+               if (queryData.controller?.signal.aborted) {
+                   throw error;
+               }
+               errors.push({ agentId, error });
+           }
+       }
+       
+       if (results.length === 0) {
+           throw this.combineAgentErrors(errors);
+       }
+       
+       const response = await this.synthesizeResponses(results, queryData);
+       response.stoppedEarly = stoppedEarly;
+       
+       return response;
+   }
+
    /**
     * Execute single query to one agent
     */
    async executeSingleQuery(queryData, agentId) {
        const agent = this.agents.get(agentId);
        if (!agent) {
-           throw new Error(`Agent ${agentId} not found`);
+           throw new AgentRequestError(`Agent ${agentId} not found`, { agentId });
+       }
+       
+       if (!AgentStatus.isRoutable(agent.status)) {
+           throw new AgentRequestError(`Agent ${agentId} is not available (${AgentStatus.getLabel(agent.status).toLowerCase()})`, {
+               type: AgentRequestError.TYPES.UNAVAILABLE,
+               agentId,
+               retryable: false
+           });
        }
        
-       if (agent.status !== 'online') {
-           throw new Error(`Agent ${agentId} is not available`);
+       let streamedContent = '';
+       
+       // Per-agent controller so one agent can be dropped without cancelling the query
+       const agentController = new AbortController();
+       const querySignal = queryData.controller?.signal;
+       if (querySignal) {
+           if (querySignal.aborted) {
+               throw querySignal.reason;
+           }
+           querySignal.addEventListener('abort', () => {
+               agentController.abort(querySignal.reason);
+           }, { once: true });
+           queryData.agentControllers.set(agentId, agentController);
        }
        
+       const onLimitWait = (wait) => this.deliverQueuePosition(
+           queryData.queryId, queryData.widgetId, wait === null ? null : 0, agentId, wait
+       );
+       
+       // Pay for the first attempt before taking a slot or a probe, so time spent
+       // waiting on our own rate limit neither blocks others nor counts as latency
+       try {
+           await this.acquireUsage(agent, agentController.signal, onLimitWait);
+       } catch (error) {
+           queryData.agentControllers?.delete(agentId);
+           throw error;
+       }
+       
+       // Wait for a free request slot on this agent
+       let releaseSlot;
+       let waited = false;
+       try {
+           releaseSlot = await this.getAgentLimiter(agent).acquire({
+               priority: queryData.priority || 0,
+               signal: agentController.signal,
+               onPosition: (ahead) => {
+                   waited = true;
+                   this.deliverQueuePosition(queryData.queryId, queryData.widgetId, ahead, agentId);
+               }
+           });
+           if (waited) {
+               this.deliverQueuePosition(queryData.queryId, queryData.widgetId, null, agentId);
+           }
+       } catch (error) {
+           this.usageLimits.refund(agent);
+           queryData.agentControllers?.delete(agentId);
+           throw error;
+       }
+       
+       if (!this.circuitBreakers.canRoute(agentId)) {
+           this.usageLimits.refund(agent);
+           releaseSlot();
+           queryData.agentControllers?.delete(agentId);
+           throw new AgentRequestError(`${agent.name || agentId} is temporarily disabled after repeated failures`, {
+               type: AgentRequestError.TYPES.UNAVAILABLE,
+               agentId,
+               retryable: false
+           });
+       }
+       
+       const probe = this.circuitBreakers.beginRequest(agentId);
        const startTime = performance.now();
+       let limitWait = 0; // Waits for retries' rate limit tokens, not the agent's latency
        
        try {
-           // Simulate agent API call
-           const response = await this.callAgent(agent, queryData.message, queryData.context);
+           // Call agent through its transport, forwarding partial answers to the widget
+           const response = await this.callAgentWithRetry(agent, queryData, agentController.signal, {
+               onChunk: (delta) => {
+                   streamedContent += delta;
+                   this.deliverResponseChunk(queryData, agentId, delta, streamedContent);
+               },
+               onRetry: (attempt, error) => {
+                   // A retried stream starts over
+                   streamedContent = '';
+                   this.deliverResponseChunk(queryData, agentId, '', '', {
+                       retrying: attempt,
+                       errorType: error.type
+                   });
+               },
+               onLimitWait,
+               onLimitWaited: (ms) => {
+                   limitWait += ms;
+               }
+           });
            
            const endTime = performance.now();
-           const responseTime = endTime - startTime;
+           const responseTime = endTime - startTime - limitWait;
            
            // Update agent metrics
-           this.updateAgentMetrics(agentId, responseTime, true);
+           this.updateAgentMetrics(agentId, responseTime, true, probe);
+           
+           // Agents that don't report token usage get an estimate
+           const usage = response.usage || this.costLedger.estimateUsage(queryData, response.content);
+           this.recordAgentCall(queryData.queryId, agentId, { success: true, responseTime, usage });
+           
+           // Mark this agent's stream as finished
+           this.deliverResponseChunk(queryData, agentId, '', response.content, { done: true });
            
            return {
                content: response.content,
                sources: response.sources || [],
                confidence: response.confidence || 0.8,
-               responseTime
+               responseTime,
+               usage
            };
            
        } catch (error) {
            const endTime = performance.now();
-           const responseTime = endTime - startTime;
+           const responseTime = endTime - startTime - limitWait;
            
-           // Update agent metrics for failure
-           this.updateAgentMetrics(agentId, responseTime, false);
+           // User cancellations and our own usage limits say nothing about agent health
+           if (!querySignal?.aborted && !this.isUsageLimitError(error)) {
+               this.updateAgentMetrics(agentId, responseTime, false, probe);
+               this.recordAgentCall(queryData.queryId, agentId, { success: false, responseTime });
+           }
+           
+           const requestError = AgentRequestError.from(error, agentId);
+           if (requestError.type === AgentRequestError.TYPES.RATE_LIMITED && requestError.status === 429) {
+               this.markRateLimited(agent, requestError.retryAfter);
+           }
+           
+           this.deliverResponseChunk(queryData, agentId, '', streamedContent, {
+               done: true,
+               error: error.message
+           });
            
            throw error;
+       } finally {
+           // A cancelled probe recorded no result; let the next request probe
+           this.circuitBreakers.releaseProbe(agentId, probe);
+           releaseSlot();
+           queryData.agentControllers?.delete(agentId);
        }
    }
 
    /**
-    * Call agent API (simulated)
+    * Note an agent request on its query, adding its token usage to the query's total
     */
-   async callAgent(agent, message, context = {}) {
-       // Simulate network delay
-       await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 1500));
+   recordAgentCall(queryId, agentId, { success, responseTime, usage = null }) {
+       const query = this.activeQueries.get(queryId);
+       if (!query) return;
        
-       // Simulate different agent responses based on type
-       switch (agent.type) {
-           case 'hr':
-               return this.simulateHRResponse(message, agent);
-           case 'knowledge':
-               return this.simulateKnowledgeResponse(message, agent);
-           case 'finance':
-               return this.simulateFinanceResponse(message, agent);
-           default:
-               return this.simulateGenericResponse(message, agent);
+       query.calls.push({ agentId, success, responseTime });
+       if (!usage) return;
+       
+       const total = query.usage[agentId] ||= { promptTokens: 0, completionTokens: 0, estimated: false };
+       total.promptTokens += usage.promptTokens;
+       total.completionTokens += usage.completionTokens;
+       total.estimated = total.estimated || Boolean(usage.estimated);
+   }
+
+   /**
+    * Take one request from an agent's rate limit and daily quota
+    */
+   async acquireUsage(agent, signal, onWait) {
+       await this.usageLimits.acquire(agent, { signal, onWait });
+       if (signal.aborted) {
+           this.usageLimits.refund(agent);
+           throw signal.reason;
        }
    }
 
    /**
-    * Simulate HR agent response
-    */
-   simulateHRResponse(message, agent) {
-       const responses = {
-           vacation: {
-               content: "You have 12 vacation days remaining this year. Your next scheduled PTO is March 15-17 (3 days). Would you like me to help you submit a new vacation request?",
-               sources: [
-                   { name: "Workday", description: "Employee vacation balance from Workday system" },
-                   { name: "PTO Policy", description: "Company paid time off policy document" }
-               ],
-               confidence: 0.95
-           },
-           benefits: {
-               content: "Your current benefits include Health Insurance (PPO plan), 401(k) with 6% company match, and $50,000 life insurance. Open enrollment is November 1-15. Need help with any specific benefit questions?",
-               sources: [
-                   { name: "Benefits Portal", description: "Employee benefits information system" },
-                   { name: "HR Guidelines", description: "Benefits enrollment guidelines" }
-               ],
-               confidence: 0.92
-           },
-           policy: {
-               content: "Our remote work policy allows up to 3 days per week remote with manager approval. Core hours are 10 AM - 3 PM ET. Equipment allowance includes laptop and $500 for home office setup.",
-               sources: [
-                   { name: "Employee Handbook", description: "Remote work policy section 4.2" },
-                   { name: "IT Policy", description: "Equipment and security guidelines" }
-               ],
-               confidence: 0.88
-           }
-       };
+    * Call agent with a per-attempt timeout, retrying retryable failures
+    * with exponential backoff and jitter. The caller has already paid for
+    * the first attempt; `hooks.onLimitWaited` gets the time spent paying for retries.
+    */
+   async callAgentWithRetry(agent, queryData, signal, hooks = {}) {
+       const policy = this.getAgentPolicy(agent);
        
-       // Simple keyword matching for demo
-       const lowerMessage = message.toLowerCase();
-       if (lowerMessage.includes('vacation') || lowerMessage.includes('pto') || lowerMessage.includes('time off')) {
-           return responses.vacation;
-       } else if (lowerMessage.includes('benefit') || lowerMessage.includes('insurance') || lowerMessage.includes('401k')) {
-           return responses.benefits;
-       } else if (lowerMessage.includes('remote') || lowerMessage.includes('policy') || lowerMessage.includes('work from home')) {
-           return responses.policy;
+       for (let attempt = 0; ; attempt++) {
+           // Every attempt is a real request, so each one counts against the
+           // agent's rate limit and daily quota
+           if (attempt > 0) {
+               const waitStart = performance.now();
+               await this.acquireUsage(agent, signal, hooks.onLimitWait);
+               hooks.onLimitWaited?.(performance.now() - waitStart);
+           }
+           
+           const attemptController = new AbortController();
+           const onAbort = () => attemptController.abort(signal.reason);
+           signal.addEventListener('abort', onAbort, { once: true });
+           
+           const timer = setTimeout(() => {
+               attemptController.abort(new AgentRequestError(
+                   `${agent.name || agent.id} did not respond within ${policy.timeout / 1000}s`,
+                   { type: AgentRequestError.TYPES.TIMEOUT, agentId: agent.id }
+               ));
+           }, policy.timeout);
+           
+           let error;
+           try {
+               return await this.callAgent(agent, queryData.message, queryData.context, {
+                   signal: attemptController.signal,
+                   onChunk: hooks.onChunk
+               });
+           } catch (rawError) {
+               // Prefer the abort reason so timeouts are reported as timeouts
+               const cause = attemptController.signal.aborted ? attemptController.signal.reason : rawError;
+               error = AgentRequestError.from(cause, agent.id);
+               
+               // Missing credentials fail before anything is sent
+               if (error.type === AgentRequestError.TYPES.UNAUTHORIZED && !error.status) {
+                   this.usageLimits.refund(agent);
+               }
+           } finally {
+               clearTimeout(timer);
+               signal.removeEventListener('abort', onAbort);
+           }
+           
+           if (!error.retryable || attempt >= policy.retryAttempts || signal.aborted) {
+               throw error;
+           }
+           
+           const delay = this.getRetryDelay(policy, attempt + 1, error);
+           console.warn(`Retrying ${agent.id} in ${Math.round(delay)}ms (${attempt + 1}/${policy.retryAttempts}):`, error.message);
+           
+           if (hooks.onRetry) {
+               hooks.onRetry(attempt + 1, error);
+           }
+           
+           await this.waitForRetry(delay, signal, agent.id);
        }
+   }
+
+   /**
+    * Get timeout and retry policy for an agent, applying its overrides
+    */
+   getAgentPolicy(agent) {
+       const limits = agent.limits || {};
+       const retry = limits.retry || {};
        
        return {
-           content: "I can help with HR-related questions about vacation time, benefits, policies, and procedures. What specific information do you need?",
-           sources: [{ name: agent.name, description: "HR assistance system" }],
-           confidence: 0.7
+           timeout: limits.timeout ?? this.config.defaultTimeout,
+           retryAttempts: retry.attempts ?? this.config.retryAttempts,
+           baseDelay: retry.baseDelay ?? this.config.retryBaseDelay,
+           maxDelay: retry.maxDelay ?? this.config.retryMaxDelay
        };
    }
 
    /**
-    * Simulate knowledge/policy agent response
-    */
-   simulateKnowledgeResponse(message, agent) {
-       const responses = {
-           expense: {
-               content: "Expense reimbursement policy: Meals up to $75/day with receipts required for amounts over $25. Alcohol not reimbursable. Submit through Concur within 30 days.",
-               sources: [
-                   { name: "Finance Policy 3.1", description: "Employee expense reimbursement guidelines" },
-                   { name: "Concur Guide", description: "Expense submission process documentation" }
-               ],
-               confidence: 0.94
-           },
-           security: {
-               content: "Security policy requires: Two-factor authentication for all systems, password rotation every 90 days, VPN for remote access, and immediate reporting of suspected security incidents.",
-               sources: [
-                   { name: "IT Security Policy", description: "Corporate information security standards" },
-                   { name: "Compliance Manual", description: "Security compliance requirements" }
-               ],
-               confidence: 0.91
-           },
-           compliance: {
-               content: "All employees must complete annual compliance training by December 31st. This includes ethics, anti-harassment, and data privacy modules. Certificates are tracked in the learning management system.",
-               sources: [
-                   { name: "Compliance Framework", description: "Annual training requirements" },
-                   { name: "Training Records", description: "Employee completion tracking system" }
-               ],
-               confidence: 0.89
-           }
-       };
-       
-       const lowerMessage = message.toLowerCase();
-       if (lowerMessage.includes('expense') || lowerMessage.includes('reimburse') || lowerMessage.includes('receipt')) {
-           return responses.expense;
-       } else if (lowerMessage.includes('security') || lowerMessage.includes('password') || lowerMessage.includes('vpn')) {
-           return responses.security;
-       } else if (lowerMessage.includes('compliance') || lowerMessage.includes('training') || lowerMessage.includes('ethics')) {
-           return responses.compliance;
-       }
+    * Calculate backoff delay for a retry attempt (exponential with equal jitter)
+    */
+   getRetryDelay(policy, attempt, error) {
+       const exponential = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+       const delay = exponential / 2 + Math.random() * (exponential / 2);
        
-       return {
-           content: "I can help you find information about company policies, procedures, and compliance requirements. What specific topic are you looking for?",
-           sources: [{ name: agent.name, description: "Knowledge base system" }],
-           confidence: 0.7
-       };
+       // Respect the backend's Retry-After hint when rate limited
+       return error.retryAfter ? Math.max(error.retryAfter, delay) : delay;
    }
 
    /**
-    * Simulate finance agent response
+    * Wait before retrying, giving up early if the query is cancelled
     */
-   simulateFinanceResponse(message, agent) {
-       return {
-           content: "Your department budget shows 73% utilization ($127k of $175k allocated). Q2 forecast is on track. Major categories: Software licenses (45%), Contractors (28%), Travel (15%). Need specific budget details?",
-           sources: [
-               { name: "SAP Financial System", description: "Department budget and expense tracking" },
-               { name: "Q2 Forecast", description: "Budget projection and variance analysis" }
-           ],
-           confidence: 0.87
-       };
+   waitForRetry(ms, signal, agentId) {
+       return new Promise((resolve, reject) => {
+           const onAbort = () => {
+               clearTimeout(timer);
+               reject(AgentRequestError.from(signal.reason, agentId));
+           };
+           
+           const timer = setTimeout(() => {
+               signal.removeEventListener('abort', onAbort);
+               resolve();
+           }, ms);
+           
+           signal.addEventListener('abort', onAbort, { once: true });
+       });
    }
 
    /**
-    * Simulate generic agent response
+    * Whether an error came from our own rate limits or quotas rather than the
+    * agent (a 429 from the agent carries its HTTP status)
     */
-   simulateGenericResponse(message, agent) {
-       return {
-           content: `I've processed your query: "${message}". I can provide general assistance, but you might get better results from a specialized agent for your specific domain.`,
-           sources: [{ name: agent.name, description: "General purpose AI assistant" }],
-           confidence: 0.6
-       };
+   isUsageLimitError(error) {
+       return error?.type === AgentRequestError.TYPES.QUOTA_EXCEEDED ||
+           (error?.type === AgentRequestError.TYPES.RATE_LIMITED && !error.status);
+   }
+
+   /**
+    * Combine per-agent failures into one error for the widget
+    */
+   combineAgentErrors(errors) {
+       const agentErrors = errors.map(({ agentId, error }) => AgentRequestError.from(error, agentId));
+       const types = new Set(agentErrors.map(error => error.type));
+       
+       // Our own limits explain themselves better than a generic failure
+       const limited = agentErrors.every(error => this.isUsageLimitError(error));
+       const message = limited ?
+           agentErrors.map(error => error.message).join('; ') :
+           'All agents failed to respond';
+       
+       const combined = new AgentRequestError(message, {
+           type: types.size === 1 ? agentErrors[0].type : AgentRequestError.TYPES.AGENT_ERROR,
+           retryable: false
+       });
+       combined.agentErrors = agentErrors;
+       
+       return combined;
+   }
+
+   /**
+    * Call agent through its configured transport
+    */
+   async callAgent(agent, message, context = {}, options = {}) {
+       return await AgentTransports.send(agent, {
+           message,
+           context
+       }, options);
    }
 
    /**
     * Synthesize multiple agent responses
     */
-   synthesizeResponses(results, queryData) {
+   async synthesizeResponses(results, queryData) {
        if (results.length === 1) {
            return {
                content: results[0].content,
@@ -442,81 +1066,123 @@ class AgentOrchestrator {
            };
        }
        
-       // Combine responses with clear attribution
-       const content = results.map(result => {
-           const agentName = this.agents.get(result.agentId)?.name || result.agentId;
-           return `**${agentName}:** ${result.content}`;
-       }).join('\n\n');
-       
-       // Combine all sources
-       const allSources = results.reduce((acc, result) => {
-           return acc.concat(result.sources || []);
-       }, []);
-       
-       // Remove duplicate sources
-       const uniqueSources = allSources.filter((source, index, arr) => 
-           index === arr.findIndex(s => s.name === source.name)
+       // Combine responses with the widget's strategy (see response-synthesis.js)
+       return await SynthesisStrategies.synthesize(
+           queryData.synthesis || this.config.synthesisStrategy,
+           results,
+           {
+               queryData,
+               orchestrator: this,
+               getAgentName: (agentId) => this.agents.get(agentId)?.name || agentId
+           }
        );
-       
-       // Calculate average confidence
-       const avgConfidence = results.reduce((sum, result) => 
-           sum + (result.confidence || 0), 0) / results.length;
-       
-       return {
-           content,
-           sources: uniqueSources,
-           agents: results.map(r => r.agentId),
-           confidence: avgConfidence,
-           synthesized: true
-       };
    }
 
    /**
-    * Update agent performance metrics
+    * Record one agent call in the metrics registry and feed the circuit breaker;
+    * `probe` is the circuit's token when the call was a half-open probe
     */
-   updateAgentMetrics(agentId, responseTime, success) {
-       const metrics = this.performanceMetrics.get(agentId);
-       if (!metrics) return;
+   updateAgentMetrics(agentId, responseTime, success, probe = null) {
+       if (!this.agents.has(agentId)) return;
        
-       metrics.totalQueries++;
-       metrics.lastResponseTime = responseTime;
+       const labels = { agentId };
+       this.metrics.increment('agent_requests_total', { agentId, outcome: success ? 'success' : 'failure' });
+       this.metrics.set('agent_last_response_time_ms', responseTime, labels);
        
        if (success) {
-           metrics.successfulQueries++;
+           this.metrics.observe('agent_response_time_ms', responseTime, labels);
+           
+           // Average response time (exponential moving average)
+           const average = this.metrics.getGauge('agent_response_time_avg_ms', labels);
+           this.metrics.set('agent_response_time_avg_ms', average === null
+               ? responseTime
+               : (average * 0.8) + (responseTime * 0.2), labels);
            
-           // Update average response time (exponential moving average)
-           metrics.averageResponseTime = metrics.averageResponseTime === 0 
-               ? responseTime 
-               : (metrics.averageResponseTime * 0.8) + (responseTime * 0.2);
+           const recent = this.recentResponseTimes.get(agentId) || [];
+           recent.push(responseTime);
+           recent.splice(0, recent.length - this.config.reliabilityWindow);
+           this.recentResponseTimes.set(agentId, recent);
        }
        
-       // Update error rate
-       metrics.errorRate = ((metrics.totalQueries - metrics.successfulQueries) / metrics.totalQueries) * 100;
+       // Reliability score (inverse of error rate with response time factor). The
+       // median of recent responses keeps one slow call from tanking it.
+       const { errorRate } = this.getAgentMetrics(agentId);
+       const typicalResponseTime = this.getMedian(this.recentResponseTimes.get(agentId) || []);
+       const responseTimeFactor = Math.max(0, 100 - (typicalResponseTime / 50)); // Penalize slow responses
+       this.metrics.set('agent_reliability', Math.max(0, (100 - errorRate) * (responseTimeFactor / 100)), labels);
        
-       // Update reliability score (inverse of error rate with response time factor)
-       const responseTimeFactor = Math.max(0, 100 - (responseTime / 50)); // Penalize slow responses
-       metrics.reliability = Math.max(0, (100 - metrics.errorRate) * (responseTimeFactor / 100));
+       // Feed the circuit breaker
+       this.circuitBreakers.recordResult(agentId, success, this.getAgentMetrics(agentId), this.agents.get(agentId), probe);
+   }
+
+   getMedian(values) {
+       if (values.length === 0) return 0;
+       const sorted = [...values].sort((a, b) => a - b);
+       const middle = Math.floor(sorted.length / 2);
+       return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
    }
 
    /**
-    * Update overall performance metrics
+    * An agent's performance figures, derived from the metrics registry.
+    * Uptime is the share of healthy health checks, null before the first one.
     */
-   updatePerformanceMetrics(agentIds, startTime, success) {
-       const endTime = performance.now();
-       const totalTime = endTime - startTime;
+   getAgentMetrics(agentId) {
+       const labels = { agentId };
+       const successfulQueries = this.metrics.getCounter('agent_requests_total', { agentId, outcome: 'success' });
+       const totalQueries = successfulQueries + this.metrics.getCounter('agent_requests_total', { agentId, outcome: 'failure' });
+       const healthyChecks = this.metrics.getCounter('agent_health_checks_total', { agentId, outcome: 'healthy' });
+       const totalChecks = healthyChecks + this.metrics.getCounter('agent_health_checks_total', { agentId, outcome: 'unhealthy' });
        
-       agentIds.forEach(agentId => {
-           this.updateAgentMetrics(agentId, totalTime, success);
-       });
+       return {
+           totalQueries,
+           successfulQueries,
+           averageResponseTime: this.metrics.getGauge('agent_response_time_avg_ms', labels) ?? 0,
+           errorRate: totalQueries > 0 ? ((totalQueries - successfulQueries) / totalQueries) * 100 : 0,
+           lastResponseTime: this.metrics.getGauge('agent_last_response_time_ms', labels) ?? 0,
+           uptime: totalChecks > 0 ? (healthyChecks / totalChecks) * 100 : null,
+           reliability: this.metrics.getGauge('agent_reliability', labels) ?? 100
+       };
+   }
+
+   /**
+    * Get an agent's distribution of successful response times
+    */
+   getLatencyDistribution(agentId) {
+       return this.metrics.getHistogram('agent_response_time_ms', { agentId }) || new LatencyDistribution();
+   }
+
+   /**
+    * Deliver a partial agent answer to widget. Calls that aren't the agent's
+    * own answer (e.g. synthesis) set queryData.streamId to get a separate bubble.
+    */
+   deliverResponseChunk(queryData, agentId, delta, content, extra = {}) {
+       if (!queryData.queryId || queryData.controller?.signal.aborted) return;
+       
+       document.dispatchEvent(new CustomEvent('agent:response-chunk', {
+           detail: {
+               queryId: queryData.queryId,
+               widgetId: queryData.widgetId,
+               agentId,
+               streamId: queryData.streamId || agentId,
+               delta,
+               content,
+               done: false,
+               ...extra
+           }
+       }));
    }
 
    /**
-    * Deliver successful response to widget
+    * Deliver successful response to widget, with the context it was asked in
+    * so the widget can ask the same question again
     */
-   deliverResponse(widgetId, response) {
+   deliverResponse(widgetId, response, queryId = null, message = null, context = null) {
        document.dispatchEvent(new CustomEvent('agent:response-ready', {
            detail: {
                widgetId,
+               queryId,
+               message,
+               context,
                response,
                timestamp: new Date().toISOString()
            }
@@ -526,26 +1192,60 @@ class AgentOrchestrator {
    /**
     * Deliver error response to widget
     */
-   deliverErrorResponse(widgetId, error) {
+   deliverErrorResponse(widgetId, error, queryId = null, routing = null) {
+       const requestError = AgentRequestError.from(error);
+       const agentErrors = requestError.agentErrors ||
+           (requestError.agentId ? [requestError] : []);
+       
        document.dispatchEvent(new CustomEvent('agent:response-ready', {
            detail: {
                widgetId,
+               queryId,
                response: {
-                   content: `I encountered an error processing your request: ${error.message}. Please try again or contact support if the issue persists.`,
+                   content: `I encountered an error processing your request: ${requestError.message}. ${this.getErrorAdvice(requestError.type)}`,
                    sources: [],
                    agents: [],
-                   error: true
+                   error: true,
+                   errorType: requestError.type,
+                   retryAfter: requestError.retryAfter,
+                   agentErrors: agentErrors.map(agentError => ({
+                       agentId: agentError.agentId,
+                       type: agentError.type,
+                       status: agentError.status,
+                       message: agentError.message
+                   })),
+                   routing
                },
                timestamp: new Date().toISOString()
            }
        }));
    }
 
+   /**
+    * Get user-facing advice for an error type
+    */
+   getErrorAdvice(errorType) {
+       switch (errorType) {
+           case AgentRequestError.TYPES.TIMEOUT:
+               return 'The agent is responding slowly; please try again shortly.';
+           case AgentRequestError.TYPES.RATE_LIMITED:
+               return 'The agent is receiving too many requests; please wait a moment before trying again.';
+           case AgentRequestError.TYPES.UNAVAILABLE:
+               return 'The agent is currently unavailable; try another agent or check back later.';
+           case AgentRequestError.TYPES.QUOTA_EXCEEDED:
+               return 'Daily quotas reset at midnight; other agents can still answer in the meantime.';
+           case AgentRequestError.TYPES.UNAUTHORIZED:
+               return 'Check the agent\'s credentials under Authentication in its details panel.';
+           default:
+               return 'Please try again or contact support if the issue persists.';
+       }
+   }
+
    /**
     * Handle agent status changes
     */
    handleAgentStatusChange(statusData) {
-       const { agentId, status, metrics } = statusData;
+       const { agentId, status } = statusData;
        const agent = this.agents.get(agentId);
        
        if (!agent) return;
@@ -553,114 +1253,153 @@ class AgentOrchestrator {
        // Update agent status
        agent.status = status;
        
-       // Update performance metrics if provided
-       if (metrics) {
-           const perfMetrics = this.performanceMetrics.get(agentId);
-           if (perfMetrics) {
-               Object.assign(perfMetrics, metrics);
-           }
-       }
-       
        // If agent went offline, handle pending queries
        if (status === 'offline' || status === 'error') {
            this.handleAgentOffline(agentId);
        }
+       
+       // Answers from an erroring agent may be part of the problem
+       if (status === 'error') {
+           this.invalidateCache({ agentId, reason: 'error' });
+       }
+   }
+
+   /**
+    * Stop routing to an agent that is still rate limiting us after retries,
+    * until a health check after its Retry-After says otherwise
+    */
+   markRateLimited(agent, retryAfter) {
+       const previousStatus = agent.status;
+       if (previousStatus === 'rate-limited') return;
+       
+       agent.status = 'rate-limited';
+       document.dispatchEvent(new CustomEvent('agent:status-changed', {
+           detail: { agentId: agent.id, status: agent.status, previousStatus }
+       }));
+       
+       window.AICanvas?.healthMonitor.schedule(agent.id, retryAfter || this.config.defaultTimeout);
    }
 
    /**
     * Handle agent going offline
     */
    handleAgentOffline(agentId) {
-       // Find queries that depend on this agent
-       const affectedQueries = [];
-       
-       this.activeQueries.forEach((query, queryId) => {
-           if (query.agents && query.agents.includes(agentId)) {
-               affectedQueries.push(queryId);
+       // Abort in-flight calls to this agent; parallel queries carry on with
+       // the remaining agents and single-agent queries fail with a clear error
+       this.activeQueries.forEach(query => {
+           const agentController = query.agentControllers.get(agentId);
+           if (agentController) {
+               const agentName = this.agents.get(agentId)?.name || agentId;
+               agentController.abort(new AgentRequestError(`${agentName} went offline`, {
+                   type: AgentRequestError.TYPES.UNAVAILABLE,
+                   agentId,
+                   retryable: false
+               }));
            }
        });
-       
-       // Attempt to reroute affected queries
-       affectedQueries.forEach(queryId => {
-           this.rerouteQuery(queryId, agentId);
-       });
    }
 
    /**
-    * Reroute query when agent becomes unavailable
+    * Forget agents removed from the registry, failing their in-flight calls
     */
-   async rerouteQuery(queryId, failedAgentId) {
-       const query = this.activeQueries.get(queryId);
-       if (!query) return;
-       
-       try {
-           // Remove failed agent from list
-           const remainingAgents = query.agents.filter(id => id !== failedAgentId);
-           
-           if (remainingAgents.length > 0) {
-               // Continue with remaining agents
-               query.agents = remainingAgents;
-           } else {
-               // Find alternative agents
-               const alternatives = await this.routingEngine.findAlternativeAgents(
-                   query.message, 
-                   [failedAgentId]
-               );
-               
-               if (alternatives.length > 0) {
-                   query.agents = alternatives;
-               } else {
-                   throw new Error('No alternative agents available');
-               }
-           }
+   handleAgentsRemoved(agentIds) {
+       agentIds.forEach(agentId => {
+           this.activeQueries.forEach(query => {
+               query.agentControllers.get(agentId)?.abort(new AgentRequestError(`Agent ${agentId} was removed`, {
+                   type: AgentRequestError.TYPES.UNAVAILABLE,
+                   agentId,
+                   retryable: false
+               }));
+           });
            
-       } catch (error) {
-           // Deliver error response if rerouting fails
-           this.deliverErrorResponse(query.widgetId, error);
-           this.activeQueries.delete(queryId);
-       }
+           this.agentLimiters.delete(agentId);
+           this.usageLimits.forget(agentId);
+           this.metrics.forget({ agentId });
+           this.recentResponseTimes.delete(agentId);
+           this.circuitBreakers.remove(agentId);
+           this.invalidateCache({ agentId, reason: 'removed' });
+       });
+       
+       this.routingEngine.loadAgentCapabilities();
    }
 
    /**
     * Cache response for future queries
     */
    cacheResponse(queryData, response) {
-       const cacheKey = this.generateCacheKey(queryData);
-       this.responseCache.set(cacheKey, {
-           response,
-           timestamp: Date.now(),
-           queryData
+       const agentIds = response.routing?.agents.map(agent => agent.agentId) || queryData.agents || [];
+       
+       this.responseCache.set(this.generateCacheKey(queryData), response, this.getCacheTtl(agentIds), {
+           message: queryData.message,
+           agentIds,
+           agentVersions: Object.fromEntries(agentIds.map(agentId => [agentId, this.agents.get(agentId)?.version || null]))
        });
+   }
+
+   /**
+    * Remove cached answers: by agent, by question pattern (string or RegExp),
+    * or everything when neither is given. Returns how many were removed.
+    */
+   invalidateCache({ agentId = null, pattern = null, reason = 'manual' } = {}) {
+       let count;
+       if (agentId) {
+           count = this.responseCache.invalidateAgent(agentId);
+       } else if (pattern) {
+           count = this.responseCache.invalidatePattern(pattern);
+       } else {
+           count = this.responseCache.clear();
+       }
        
-       // Clean up expired cache entries
-       this.cleanExpiredCache();
+       if (count > 0) {
+           document.dispatchEvent(new CustomEvent('cache:invalidated', {
+               detail: { agentId, pattern: pattern?.toString() ?? null, reason, count }
+           }));
+       }
+       
+       return count;
+   }
+
+   /**
+    * Check a persisted cache entry still matches the agents' registry versions
+    */
+   isCacheEntryCurrent(entry) {
+       return Object.entries(entry.agentVersions || {}).every(([agentId, version]) => {
+           const agent = this.agents.get(agentId);
+           return agent && (agent.version || null) === version;
+       });
    }
 
    /**
-    * Get cached response if available and valid
+    * Get cached response if available and valid, marked as cached
     */
    getCachedResponse(queryData) {
-       const cacheKey = this.generateCacheKey(queryData);
-       const cached = this.responseCache.get(cacheKey);
-       
+       const cached = this.responseCache.get(this.generateCacheKey(queryData));
        if (!cached) return null;
        
-       // Check if cache entry has expired
-       if (Date.now() - cached.timestamp > this.cacheExpiry) {
-           this.responseCache.delete(cacheKey);
-           return null;
-       }
-       
-       return cached.response;
+       return {
+           ...cached.response,
+           cached: true,
+           cachedAt: new Date(cached.cachedAt).toISOString()
+       };
    }
 
    /**
     * Generate cache key for query
     */
    generateCacheKey(queryData) {
-       const normalizedMessage = queryData.message.toLowerCase().trim();
-       const sortedAgents = (queryData.agents || []).sort().join(',');
-       return `${normalizedMessage}|${sortedAgents}`;
+       return ResponseCache.createKey(queryData);
+   }
+
+   /**
+    * Get how long an answer may be cached: the shortest TTL among the
+    * agents involved, from their registry limits
+    */
+   getCacheTtl(agentIds) {
+       const ttls = agentIds
+           .map(agentId => this.agents.get(agentId)?.limits?.cacheTtl)
+           .filter(ttl => ttl !== undefined);
+       
+       return ttls.length > 0 ? Math.min(...ttls) : this.config.cacheTtl;
    }
 
    /**
@@ -675,38 +1414,97 @@ class AgentOrchestrator {
     * Clean expired cache entries
     */
    cleanExpiredCache() {
-       const now = Date.now();
-       
-       this.responseCache.forEach((cached, key) => {
-           if (now - cached.timestamp > this.cacheExpiry) {
-               this.responseCache.delete(key);
-           }
-       });
+       this.responseCache.prune();
    }
 
    /**
     * Log query for analysis and improvement
     */
    logQuery(queryId, queryData, response, duration) {
+       // Agents that answered before a failure still cost tokens. Cached answers
+       // never became active queries, so they cost nothing.
+       const activeQuery = this.activeQueries.get(queryId);
+       const { usage, cost } = this.costLedger.priceUsage(activeQuery?.usage, this.agents);
+       
        const logEntry = {
            queryId,
            timestamp: new Date().toISOString(),
            message: queryData.message,
            agents: queryData.agents || [],
-           responseAgents: response.agents || [],
+           // Single-agent answers don't list their agent; the routing trace does
+           responseAgents: response.agents ||
+               (response.routing?.agents || []).filter(agent => agent.outcome === 'answered').map(agent => agent.agentId),
            duration,
            success: !response.error,
            confidence: response.confidence || 0,
            synthesized: response.synthesized || false,
-           cached: false // Would be set if response was from cache
+           cached: Boolean(response.cached),
+           widgetId: queryData.widgetId,
+           strategy: response.routing?.strategy || null,
+           answerPreview: (response.content || '').slice(0, 500),
+           calls: activeQuery?.calls || [],
+           usage,
+           cost,
+           feedback: null
        };
        
        this.queryHistory.push(logEntry);
+       this.costLedger.record(logEntry);
+       this.metrics.increment('queries_total', {
+           outcome: response.error ? 'failure' : logEntry.cached ? 'cached' : 'success'
+       });
+       this.metrics.observe('query_duration_ms', duration);
        
        // Keep only last 1000 queries
        if (this.queryHistory.length > 1000) {
            this.queryHistory.shift();
        }
+       
+       this.historyStore.add(logEntry).catch(error => {
+           console.warn('Failed to save query history:', error);
+       });
+   }
+
+   /**
+    * Record user feedback on an answer and let the router learn from it.
+    * `rating` is 'up', 'down' or 'wrong-agent'; `agentId` narrows "wrong agent"
+    * to one of several answering agents. Resolves to whether it was recorded.
+    */
+   async recordFeedback(queryId, rating, agentId = null) {
+       if (!SmartRoutingEngine.FEEDBACK_FACTORS[rating]) return false;
+       
+       // Answers restored after a reload, or older than this session's log, are only in the store
+       const entry = this.queryHistory.find(query => query.queryId === queryId) ||
+           await this.historyStore.get(queryId).catch(error => {
+               console.warn('Failed to load answer for feedback:', error);
+               return null;
+           });
+       if (!entry) return false;
+       
+       // One rating per answer so repeated clicks don't compound
+       if (entry.feedback) return false;
+       
+       const agentIds = agentId ? [agentId] : entry.responseAgents;
+       entry.feedback = {
+           rating,
+           agentIds,
+           timestamp: new Date().toISOString()
+       };
+       
+       this.routingEngine.learnFromFeedback(entry.message, agentIds, rating);
+       this.historyStore.update(queryId, { feedback: entry.feedback }).catch(error => {
+           console.warn('Failed to save answer feedback:', error);
+       });
+       
+       document.dispatchEvent(new CustomEvent('agent:feedback-recorded', {
+           detail: {
+               queryId,
+               widgetId: entry.widgetId,
+               feedback: entry.feedback
+           }
+       }));
+       
+       return true;
    }
 
    /**
@@ -717,47 +1515,78 @@ class AgentOrchestrator {
    }
 
    /**
-    * Get performance statistics
+    * Get performance statistics for a time range of the query log; without one
+    * they cover everything the cost ledger keeps (about a month).
+    * `buckets` > 0 adds a timeline of that many intervals for charts.
     */
-   getPerformanceStats() {
+   getPerformanceStats({ from = null, to = null, buckets = 0 } = {}) {
+       const totals = this.costLedger.getTotals({ from, to });
        const stats = {
-           totalQueries: this.queryHistory.length,
-           averageResponseTime: 0,
-           successRate: 0,
+           range: { from, to },
+           totalQueries: totals.queries,
+           averageResponseTime: totals.averageDuration,
+           successRate: totals.queries > 0 ? (totals.successful / totals.queries) * 100 : 0,
            agentStats: {},
-           cacheStats: {
-               size: this.responseCache.size,
-               hitRate: 0 // Would be calculated from actual usage
-           }
+           cacheStats: this.responseCache.getStats(),
+           costStats: totals,
+           timeline: buckets > 0 ? this.costLedger.getTimeline({ from, to, buckets }) : []
        };
        
-       // Calculate overall statistics
-       if (this.queryHistory.length > 0) {
-           const successful = this.queryHistory.filter(q => q.success);
-           stats.successRate = (successful.length / this.queryHistory.length) * 100;
-           stats.averageResponseTime = this.queryHistory.reduce((sum, q) => sum + q.duration, 0) / this.queryHistory.length;
-       }
-       
-       // Calculate per-agent statistics
-       this.performanceMetrics.forEach((metrics, agentId) => {
-           const agent = this.agents.get(agentId);
+       // Live metrics per agent, plus its requests and spend within the range
+       this.agents.forEach((agent, agentId) => {
            stats.agentStats[agentId] = {
-               name: agent?.name || agentId,
-               ...metrics
+               name: agent.name || agentId,
+               status: agent.status || 'unknown',
+               ...this.getAgentMetrics(agentId),
+               circuit: this.circuitBreakers.getState(agentId),
+               latency: this.getLatencyDistribution(agentId).getSummary(),
+               period: totals.byAgent[agentId] || null
            };
        });
        
+       stats.queueStats = this.getQueueStats();
+       
        return stats;
    }
 
+   /**
+    * Export response-time percentiles and histograms as 'csv' or 'json',
+    * for every agent or just `agentIds`
+    */
+   exportLatencyStats(format = 'json', agentIds = null) {
+       const rows = Array.from(this.agents.values())
+           .filter(agent => !agentIds || agentIds.includes(agent.id))
+           .map(agent => ({
+               agentId: agent.id,
+               name: agent.name || agent.id,
+               ...this.getLatencyDistribution(agent.id).getSummary()
+           }));
+       
+       if (format === 'json') {
+           return JSON.stringify({ exportedAt: new Date().toISOString(), unit: 'ms', agents: rows }, null, 2);
+       }
+       
+       const field = value => {
+           const text = value === null ? '' : typeof value === 'number' ? String(Math.round(value * 10) / 10) : String(value);
+           return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+       };
+       const buckets = (rows[0]?.histogram || new LatencyHistogram().getBuckets()).map(bucket => LatencyDistribution.formatBucket(bucket));
+       const header = ['agentId', 'name', 'count', 'min_ms', 'mean_ms', 'p50_ms', 'p90_ms', 'p99_ms', 'max_ms', ...buckets];
+       const lines = rows.map(row => [
+           row.agentId, row.name, row.count, row.min, row.mean, row.p50, row.p90, row.p99, row.max,
+           ...row.histogram.map(bucket => bucket.count)
+       ].map(field).join(','));
+       
+       return [header.map(field).join(','), ...lines].join('\n');
+   }
+
    /**
     * Get serializable state for saving
     */
    getSerializableState() {
        return {
            config: this.config,
-           performanceMetrics: Array.from(this.performanceMetrics.entries()),
-           queryHistory: this.queryHistory.slice(-100), // Last 100 queries
+           performanceMetrics: Array.from(this.agents.keys(), agentId => [agentId, this.getAgentMetrics(agentId)]),
            cacheSize: this.responseCache.size
        };
    }
@@ -780,94 +1609,110 @@ class AgentOrchestrator {
 * Determines the best agents for a given query
 */
 class SmartRoutingEngine {
-   constructor() {
-       this.patterns = new Map();
-       this.agentCapabilities = new Map();
+   constructor(options = {}) {
+       this.classifier = new IntentClassifier(options.classifier);
+       this.learnedWeights = new LearnedRoutingWeights(options.weightsStorageKey);
+       this.fallbackAgents = [];
+       this.agents = options.agents || new Map();
+       this.circuitBreakers = options.circuitBreakers || null;
+   }
+
+   /**
+    * Check whether an agent can currently be recommended
+    */
+   isRoutable(agentId, excludeAgents) {
+       if (excludeAgents.includes(agentId)) return false;
+       return !this.circuitBreakers || this.circuitBreakers.canRoute(agentId);
    }
 
    /**
     * Initialize routing engine
     */
    async initialize() {
-       // Load routing patterns and agent capabilities
-       await this.loadRoutingPatterns();
+       this.learnedWeights.load();
        await this.loadAgentCapabilities();
    }
 
    /**
-    * Load routing patterns for intent classification
+    * Train the intent classifier on the registry's example utterances,
+    * keywords, categories and capabilities
     */
-   async loadRoutingPatterns() {
-       // Simple keyword-based patterns for demo
-       // In production, this would use NLP models
-       this.patterns.set('hr', [
-           'vacation', 'pto', 'time off', 'benefits', 'insurance', '401k',
-           'payroll', 'salary', 'leave', 'holiday', 'sick day'
-       ]);
-       
-       this.patterns.set('policy', [
-           'policy', 'procedure', 'guideline', 'rule', 'compliance',
-           'security', 'expense', 'reimbursement', 'training'
-       ]);
-       
-       this.patterns.set('finance', [
-           'budget', 'cost', 'expense', 'financial', 'invoice',
-           'payment', 'accounting', 'revenue', 'forecast'
-       ]);
-       
-       this.patterns.set('knowledge', [
-           'how to', 'what is', 'where can i', 'documentation',
-           'manual', 'guide', 'help', 'information'
-       ]);
+   async loadAgentCapabilities() {
+       this.fallbackAgents = [];
+
+       const agents = Array.from(this.agents.values());
+       this.classifier.train(agents);
+
+       agents.forEach(agent => {
+           if (agent.routing?.fallback) {
+               this.fallbackAgents.push(agent.id);
+           }
+       });
    }
 
    /**
-    * Load agent capabilities mapping
+    * Rank routable agents for a message with scores and explanations.
+    * Falls back to the registry's fallback agents when nothing clears the thresholds.
     */
-   async loadAgentCapabilities() {
-       // Map agent types to their capabilities
-       this.agentCapabilities.set('workday', ['hr', 'vacation', 'payroll', 'benefits']);
-       this.agentCapabilities.set('policy', ['policy', 'compliance', 'procedures']);
-       this.agentCapabilities.set('healthcare', ['benefits', 'insurance', 'wellness']);
-       this.agentCapabilities.set('finance', ['budget', 'expenses', 'financial']);
+   classify(message, excludeAgents = []) {
+       const unroutable = Array.from(this.agents.keys())
+           .filter(agentId => !this.isRoutable(agentId, excludeAgents));
+
+       const ranked = this.classifier.classify(message, {
+           exclude: unroutable,
+           weights: this.learnedWeights
+       });
+       if (ranked.length > 0) {
+           return { agents: ranked, fallback: false };
+       }
+
+       return {
+           agents: this.fallbackAgents
+               .filter(agentId => !unroutable.includes(agentId))
+               .map(agentId => ({
+                   agentId,
+                   score: 0,
+                   confidence: 0,
+                   matchedTerms: [],
+                   explanation: 'No confident match; general-purpose fallback agent'
+               })),
+           fallback: true
+       };
    }
 
    /**
     * Recommend agents for a given message
     */
    async recommendAgents(message, excludeAgents = []) {
-       const lowerMessage = message.toLowerCase();
-       const scores = new Map();
-       
-       // Score agents based on keyword matching
-       this.patterns.forEach((keywords, category) => {
-           const matchCount = keywords.filter(keyword => 
-               lowerMessage.includes(keyword)
-           ).length;
-           
-           if (matchCount > 0) {
-               // Find agents that handle this category
-               this.agentCapabilities.forEach((capabilities, agentId) => {
-                   if (capabilities.includes(category) && !excludeAgents.includes(agentId)) {
-                       const currentScore = scores.get(agentId) || 0;
-                       scores.set(agentId, currentScore + matchCount);
-                   }
-               });
-           }
-       });
-       
-       // Sort by score and return top agents
-       const sortedAgents = Array.from(scores.entries())
-           .sort((a, b) => b[1] - a[1])
-           .map(entry => entry[0])
-           .slice(0, 3); // Top 3 agents
-       
-       // If no specific matches, return general-purpose agents
-       if (sortedAgents.length === 0) {
-           return ['workday', 'policy'].filter(id => !excludeAgents.includes(id));
-       }
+       return this.classify(message, excludeAgents).agents.map(result => result.agentId);
+   }
+
+   /**
+    * Re-weight the message's terms for the agents that answered it.
+    * `rating` is 'up', 'down' or 'wrong-agent'.
+    */
+   learnFromFeedback(message, agentIds, rating) {
+       const factor = SmartRoutingEngine.FEEDBACK_FACTORS[rating];
+       const terms = this.classifier.analyze(message);
+       if (!factor || terms.length === 0 || agentIds.length === 0) return false;
        
-       return sortedAgents;
+       agentIds.forEach(agentId => this.learnedWeights.adjust(terms, agentId, factor));
+       this.learnedWeights.commit();
+       return true;
+   }
+
+   /**
+    * Get the learned weights as a JSON-serialisable object
+    */
+   exportLearnedWeights() {
+       return this.learnedWeights.toJSON();
+   }
+
+   /**
+    * Forget all feedback-based re-weighting
+    */
+   resetLearnedWeights() {
+       this.learnedWeights.reset();
    }
 
    /**
@@ -878,5 +1723,12 @@ class SmartRoutingEngine {
    }
 }
 
+// How strongly each kind of feedback moves a term's weight for the answering agents
+SmartRoutingEngine.FEEDBACK_FACTORS = {
+   up: 1.2,
+   down: 0.9,
+   'wrong-agent': 0.6
+};
+
 // Create global instance
 window.AgentOrchestrator = new AgentOrchestrator();
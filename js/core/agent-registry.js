@@ -0,0 +1,296 @@
+/**
+ * Agent Registry
+ * Loads agent definitions from data/agents.json and validates them against data/agents.schema.json
+ */
+
+class AgentRegistryError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'AgentRegistryError';
+        this.errors = errors; // [{ path, message }]
+    }
+}
+
+/**
+ * Validator for the JSON Schema subset the registry schema uses:
+ * type, required, properties, additionalProperties, items, minItems,
+ * minLength, pattern, minimum, maximum, enum, oneOf and local $ref
+ */
+class SchemaValidator {
+    constructor(rootSchema) {
+        this.rootSchema = rootSchema;
+    }
+
+    /**
+     * Validate a value; returns a list of { path, message }
+     */
+    validate(value, schema = this.rootSchema, path = '') {
+        const errors = [];
+        schema = this.resolve(schema);
+
+        if (schema.oneOf) {
+            errors.push(...this.validateOneOf(value, schema.oneOf, path));
+            return errors;
+        }
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+            errors.push({ path, message: `must be ${expected}, got ${this.typeOf(value)}` });
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path, message: value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path, message: `must match ${schema.pattern}` });
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `must be >= ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `must be <= ${schema.maximum}` });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+                });
+            }
+        } else if (value !== null && typeof value === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push({ path: this.join(path, key), message: 'is required' });
+                }
+            });
+
+            Object.entries(value).forEach(([key, child]) => {
+                const childSchema = schema.properties?.[key];
+                if (childSchema) {
+                    errors.push(...this.validate(child, childSchema, this.join(path, key)));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: this.join(path, key), message: 'is not a recognised field' });
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate against exactly one of several shapes. When none matches, report
+     * the errors of the shape meant for this kind of value (e.g. the object
+     * shape for an object), so the message names the offending field.
+     */
+    validateOneOf(value, options, path) {
+        const results = options.map(option => ({
+            option: this.resolve(option),
+            errors: this.validate(value, option, path)
+        }));
+
+        const matches = results.filter(result => result.errors.length === 0).length;
+        if (matches === 1) return [];
+        if (matches > 1) return [{ path, message: 'matches more than one allowed shape' }];
+
+        const candidates = results.filter(({ option }) => !option.type || this.matchesType(value, option.type));
+        if (candidates.length === 0) {
+            const expected = Array.from(new Set(results.flatMap(({ option }) => option.type || [])));
+            return [{ path, message: expected.length > 0
+                ? `must be ${expected.join(' or ')}, got ${this.typeOf(value)}`
+                : 'does not match any allowed shape' }];
+        }
+
+        return candidates.reduce((closest, candidate) =>
+            candidate.errors.length < closest.errors.length ? candidate : closest
+        ).errors;
+    }
+
+    /**
+     * Follow a local "#/definitions/..." reference
+     */
+    resolve(schema) {
+        if (!schema.$ref) return schema;
+
+        const target = schema.$ref.replace(/^#\//, '').split('/')
+            .reduce((node, key) => node?.[key], this.rootSchema);
+
+        if (!target) {
+            throw new AgentRegistryError(`Schema reference ${schema.$ref} not found`);
+        }
+        return target;
+    }
+
+    matchesType(value, type) {
+        const types = Array.isArray(type) ? type : [type];
+        return types.some(t => {
+            switch (t) {
+                case 'null': return value === null;
+                case 'array': return Array.isArray(value);
+                case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'integer': return Number.isInteger(value);
+                case 'number': return typeof value === 'number' && Number.isFinite(value);
+                default: return typeof value === t;
+            }
+        });
+    }
+
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    join(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+}
+
+class AgentRegistry {
+    constructor() {
+        this.agents = new Map();
+        this.version = null;
+        this.errors = [];
+        this.validator = null;
+        this.dataUrl = 'data/agents.json';
+        this.schemaUrl = 'data/agents.schema.json';
+    }
+
+    /**
+     * Fetch and validate the registry. Invalid agents are left out and
+     * reported in `errors`; a malformed file throws AgentRegistryError.
+     */
+    async load(dataUrl = this.dataUrl, schemaUrl = this.schemaUrl) {
+        const [data, schema] = await Promise.all([
+            this.fetchJson(dataUrl),
+            this.validator ? null : this.fetchJson(schemaUrl)
+        ]);
+
+        if (schema) {
+            this.validator = new SchemaValidator(schema);
+        }
+
+        const { agents, errors } = this.validate(data);
+
+        this.agents = new Map(agents.map(agent => [agent.id, agent]));
+        this.version = data.version;
+        this.errors = errors;
+
+        errors.forEach(error => {
+            console.warn(`Agent registry: ${error.path} ${error.message}`);
+        });
+
+        return { agents, errors, version: this.version };
+    }
+
+    /**
+     * Fetch a JSON file, reporting parse errors with the file name
+     */
+    async fetchJson(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new AgentRegistryError(`Failed to load ${url}: HTTP ${response.status}`);
+        }
+
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new AgentRegistryError(`${url} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate registry data; returns the valid agents and every error found
+     */
+    validate(data) {
+        const schemaErrors = this.validator.validate(data);
+
+        // Errors outside an agent entry make the whole file unusable
+        const fileErrors = schemaErrors.filter(error => !/^agents\[\d+\]/.test(error.path));
+        if (fileErrors.length > 0) {
+            throw new AgentRegistryError(
+                `Invalid agent registry: ${fileErrors.map(e => `${e.path || '(root)'} ${e.message}`).join('; ')}`,
+                fileErrors
+            );
+        }
+
+        const errors = [...schemaErrors];
+        const seenIds = new Map();
+
+        data.agents.forEach((agent, index) => {
+            const path = `agents[${index}]`;
+
+            if (typeof agent?.id === 'string') {
+                if (seenIds.has(agent.id)) {
+                    errors.push({ path: `${path}.id`, message: `duplicates ${seenIds.get(agent.id)}.id "${agent.id}"` });
+                } else {
+                    seenIds.set(agent.id, path);
+                }
+            }
+
+            // Transports are registered at runtime, so the schema can't list them
+            if (agent?.transport && window.AgentTransports) {
+                const transportName = AgentTransports.resolveTransportName(agent);
+                if (!AgentTransports.getTransportNames().includes(transportName)) {
+                    const field = typeof agent.transport === 'string' ? 'transport' : 'transport.type';
+                    errors.push({ path: `${path}.${field}`, message: `unknown transport "${transportName}"` });
+                }
+            }
+        });
+
+        const invalidIndexes = new Set(errors.map(error => this.agentIndexOf(error.path)));
+        const agents = data.agents.filter((agent, index) => !invalidIndexes.has(index));
+
+        return {
+            agents,
+            errors: errors.map(error => {
+                const id = data.agents[this.agentIndexOf(error.path)]?.id;
+                return { ...error, agentId: typeof id === 'string' ? id : null };
+            })
+        };
+    }
+
+    /**
+     * Get the agent index from an error path like "agents[2].limits.timeout"
+     */
+    agentIndexOf(path) {
+        return Number(path.match(/^agents\[(\d+)\]/)[1]);
+    }
+
+    /**
+     * Get all valid agent definitions
+     */
+    getAgents() {
+        return Array.from(this.agents.values());
+    }
+
+    /**
+     * Get one agent definition
+     */
+    getAgent(agentId) {
+        return this.agents.get(agentId) || null;
+    }
+
+    /**
+     * Get the registry version from the last load
+     */
+    getVersion() {
+        return this.version;
+    }
+}
+
+// Create global instance
+window.AgentRegistry = new AgentRegistry();
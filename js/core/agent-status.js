@@ -0,0 +1,135 @@
+/**
+ * Agent Status Model
+ * The statuses an agent can be in, and what each one means for routing,
+ * notifications and how the sidebar shows it
+ */
+
+class AgentStatus {
+    /**
+     * Look up the rules for a status; unrecognised values are treated as unknown
+     */
+    static get(status) {
+        const name = AgentStatus.ALIASES[status] || status;
+        return AgentStatus.STATES[name] || AgentStatus.STATES.unknown;
+    }
+
+    /**
+     * Map a reported status onto the model, e.g. the legacy "warning" to "degraded"
+     */
+    static normalize(status) {
+        const name = AgentStatus.ALIASES[status] || status;
+        return AgentStatus.STATES[name] ? name : 'unknown';
+    }
+
+    /**
+     * Can queries be sent to an agent in this status at all?
+     */
+    static isRoutable(status) {
+        return AgentStatus.get(status).routing !== 'none';
+    }
+
+    /**
+     * Should the agent only answer when no healthy agent can?
+     */
+    static isFallbackOnly(status) {
+        return AgentStatus.get(status).routing === 'fallback';
+    }
+
+    /**
+     * Pick the notification for a status change, or null if it isn't worth one.
+     * Moving into a notifying status warns; leaving one for online reports the recovery.
+     * An agent's first status after (re)loading shows in the sidebar without a toast.
+     */
+    static getNotification(previousStatus, status) {
+        if (!previousStatus || previousStatus === 'unknown' || previousStatus === status) return null;
+
+        const current = AgentStatus.get(status);
+        const previous = AgentStatus.get(previousStatus);
+
+        if (current.notify) {
+            return { type: current.notify, message: current.message };
+        }
+        if (status === 'online' && previous.notify) {
+            return { type: 'success', message: 'is back online' };
+        }
+        return null;
+    }
+
+    /**
+     * CSS class for the sidebar status indicator
+     */
+    static getIndicatorClass(status) {
+        return AgentStatus.get(status).indicator;
+    }
+
+    static getLabel(status) {
+        return AgentStatus.get(status).label;
+    }
+}
+
+/**
+ * routing: 'primary' (normal), 'fallback' (only when no primary agent can answer) or 'none'
+ * notify: NotificationManager type shown on entering the status, or null
+ * indicator: status-indicator class; badge: metric-badge shown instead of metrics, or null
+ */
+AgentStatus.STATES = {
+    online: {
+        label: 'Online',
+        routing: 'primary',
+        notify: null,
+        indicator: 'active',
+        badge: null
+    },
+    degraded: {
+        label: 'Degraded',
+        routing: 'fallback',
+        notify: 'warning',
+        message: 'is degraded and will only answer as a fallback',
+        indicator: 'warning',
+        badge: null
+    },
+    'rate-limited': {
+        label: 'Rate limited',
+        routing: 'none',
+        notify: 'warning',
+        message: 'is rate limiting requests',
+        indicator: 'warning',
+        badge: 'warning'
+    },
+    maintenance: {
+        label: 'Maintenance',
+        routing: 'none',
+        notify: 'info',
+        message: 'is down for maintenance',
+        indicator: 'maintenance',
+        badge: 'neutral'
+    },
+    offline: {
+        label: 'Offline',
+        routing: 'none',
+        notify: 'warning',
+        message: 'is now offline',
+        indicator: 'error',
+        badge: 'error'
+    },
+    error: {
+        label: 'Error',
+        routing: 'none',
+        notify: 'error',
+        message: 'is reporting errors',
+        indicator: 'error',
+        badge: 'error'
+    },
+    unknown: {
+        label: 'Unknown',
+        routing: 'none',
+        notify: null,
+        indicator: '',
+        badge: null
+    }
+};
+
+AgentStatus.ALIASES = {
+    warning: 'degraded',
+    'rate_limited': 'rate-limited'
+};
@@ -0,0 +1,852 @@
+/**
+ * Agent Transports
+ * Pluggable communication layer between the orchestrator and agent backends
+ */
+
+class AgentTransportRegistry {
+    constructor() {
+        this.transports = new Map();
+        this.defaultTransport = 'simulated';
+
+        // Register built-in transports
+        this.register('simulated', new SimulatedTransport());
+        this.register('http', new HttpJsonTransport());
+        this.register('sse', new ServerSentEventsTransport());
+        this.register('websocket', new WebSocketTransport());
+    }
+
+    /**
+     * Register a transport under a name
+     */
+    register(name, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error(`Transport "${name}" must implement send()`);
+        }
+        this.transports.set(name, transport);
+    }
+
+    /**
+     * Remove a registered transport
+     */
+    unregister(name) {
+        const transport = this.transports.get(name);
+        if (transport && typeof transport.dispose === 'function') {
+            transport.dispose();
+        }
+        this.transports.delete(name);
+    }
+
+    /**
+     * Resolve the transport name for an agent config
+     */
+    resolveTransportName(agent) {
+        if (agent.transport) {
+            return typeof agent.transport === 'string' ? agent.transport : agent.transport.type;
+        }
+
+        // Agents with an endpoint default to plain HTTP, others stay local
+        return agent.endpoint ? 'http' : this.defaultTransport;
+    }
+
+    /**
+     * Get transport instance for an agent
+     */
+    getTransport(agent) {
+        const name = this.resolveTransportName(agent);
+        const transport = this.transports.get(name);
+
+        if (!transport) {
+            throw new Error(`Unknown transport "${name}" for agent ${agent.id}`);
+        }
+
+        return transport;
+    }
+
+    /**
+     * Send a request to an agent using its configured transport
+     */
+    async send(agent, request, options = {}) {
+        const transport = this.getTransport(agent);
+        return await transport.send(agent, request, options);
+    }
+
+    /**
+     * Drop any connection state held for an agent (e.g. after it is removed)
+     */
+    releaseAgent(agentId) {
+        this.transports.forEach(transport => {
+            if (typeof transport.disconnect === 'function') {
+                transport.disconnect(agentId);
+            }
+        });
+    }
+
+    /**
+     * Get list of registered transport names
+     */
+    getTransportNames() {
+        return Array.from(this.transports.keys());
+    }
+}
+
+/**
+ * Agent Request Error
+ * Typed failure of a single agent call, used for retry decisions and error reporting
+ */
+class AgentRequestError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'AgentRequestError';
+        this.type = options.type || AgentRequestError.TYPES.AGENT_ERROR;
+        this.agentId = options.agentId || null;
+        this.status = options.status || null;
+        this.retryAfter = options.retryAfter || null;
+        this.retryable = options.retryable ?? AgentRequestError.RETRYABLE_TYPES.includes(this.type);
+    }
+
+    /**
+     * Classify any error thrown while calling an agent
+     */
+    static from(error, agentId = null) {
+        if (error instanceof AgentRequestError) {
+            if (!error.agentId) error.agentId = agentId;
+            return error;
+        }
+
+        if (error?.name === 'AbortError') {
+            return new AgentRequestError(error.message || 'Request cancelled', {
+                type: AgentRequestError.TYPES.CANCELLED,
+                agentId
+            });
+        }
+
+        // fetch rejects with a TypeError when the network request itself fails
+        if (error instanceof TypeError) {
+            return new AgentRequestError(`Agent ${agentId} is unreachable`, {
+                type: AgentRequestError.TYPES.UNAVAILABLE,
+                agentId
+            });
+        }
+
+        return new AgentRequestError(error?.message || String(error), { agentId });
+    }
+
+    /**
+     * Classify a non-OK HTTP response
+     */
+    static fromResponse(response, agentId) {
+        const { TYPES } = AgentRequestError;
+
+        if (response.status === 429) {
+            const retryAfter = parseFloat(response.headers.get('Retry-After'));
+            return new AgentRequestError(`Agent ${agentId} is rate limited`, {
+                type: TYPES.RATE_LIMITED,
+                agentId,
+                status: response.status,
+                retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+            });
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            return new AgentRequestError(`Agent ${agentId} rejected our credentials (HTTP ${response.status})`, {
+                type: TYPES.UNAUTHORIZED,
+                agentId,
+                status: response.status
+            });
+        }
+
+        if (response.status === 408 || response.status === 504) {
+            return new AgentRequestError(`Agent ${agentId} timed out`, {
+                type: TYPES.TIMEOUT,
+                agentId,
+                status: response.status
+            });
+        }
+
+        if (response.status >= 500) {
+            return new AgentRequestError(`Agent ${agentId} is unavailable (HTTP ${response.status})`, {
+                type: TYPES.UNAVAILABLE,
+                agentId,
+                status: response.status
+            });
+        }
+
+        return new AgentRequestError(`Agent ${agentId} rejected the request (HTTP ${response.status})`, {
+            agentId,
+            status: response.status
+        });
+    }
+}
+
+AgentRequestError.TYPES = {
+    TIMEOUT: 'timeout',
+    UNAVAILABLE: 'unavailable',
+    RATE_LIMITED: 'rate-limited',
+    CANCELLED: 'cancelled',
+    UNAUTHORIZED: 'unauthorized',
+    QUOTA_EXCEEDED: 'quota-exceeded',
+    AGENT_ERROR: 'agent-error'
+};
+
+AgentRequestError.RETRYABLE_TYPES = ['timeout', 'unavailable', 'rate-limited'];
+
+/**
+ * Base transport with shared helpers
+ */
+class AgentTransport {
+    /**
+     * Send a request to an agent; must resolve to { content, sources, confidence, usage }.
+     * Streaming transports report partial content through options.onChunk(delta)
+     * and every transport must stop work when options.signal aborts.
+     */
+    async send(agent, request, options = {}) {
+        throw new Error('send() not implemented');
+    }
+
+    /**
+     * Get transport-specific options from the agent config
+     */
+    getOptions(agent) {
+        return typeof agent.transport === 'object' && agent.transport !== null
+            ? agent.transport
+            : {};
+    }
+
+    /**
+     * Build the full URL for an agent request
+     */
+    buildUrl(agent, defaultPath) {
+        if (!agent.endpoint) {
+            throw new Error(`Agent ${agent.id} has no endpoint configured`);
+        }
+
+        const path = this.getOptions(agent).path ?? defaultPath;
+        return `${agent.endpoint.replace(/\/$/, '')}${path}`;
+    }
+
+    /**
+     * Build request headers: transport defaults, then registry headers, then auth
+     */
+    async buildHeaders(agent, defaults, request) {
+        return {
+            ...defaults,
+            ...(this.getOptions(agent).headers || {}),
+            ...(await AgentAuth.getHeaders(agent, request))
+        };
+    }
+
+    /**
+     * Classify a non-OK response, dropping an OAuth token the agent refused
+     */
+    createResponseError(agent, response) {
+        if (response.status === 401) {
+            AgentAuth.invalidateToken(agent.id);
+        }
+        return AgentRequestError.fromResponse(response, agent.id);
+    }
+
+    /**
+     * Build the JSON body sent to agent backends
+     */
+    buildPayload(agent, request) {
+        return {
+            agentId: agent.id,
+            message: request.message,
+            context: request.context || {}
+        };
+    }
+
+    /**
+     * Build the error thrown when a request is aborted
+     */
+    createAbortError(signal) {
+        return signal?.reason || new DOMException('Request aborted', 'AbortError');
+    }
+
+    /**
+     * Wait for a delay, rejecting early if the signal aborts
+     */
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.createAbortError(signal));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError(signal));
+            };
+
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Report a partial answer to the caller, if it asked for one
+     */
+    emitChunk(options, delta) {
+        if (delta && typeof options.onChunk === 'function') {
+            options.onChunk(delta);
+        }
+    }
+
+    /**
+     * Normalize an agent backend response
+     */
+    normalizeResponse(data) {
+        return {
+            content: data.content ?? data.answer ?? '',
+            sources: data.sources || [],
+            confidence: data.confidence,
+            usage: this.normalizeUsage(data.usage)
+        };
+    }
+
+    /**
+     * Normalize reported token usage to { promptTokens, completionTokens },
+     * accepting OpenAI-style (prompt_tokens) and Anthropic-style (input_tokens) names.
+     * Returns null when the backend didn't report usage.
+     */
+    normalizeUsage(usage) {
+        if (!usage || typeof usage !== 'object') return null;
+
+        const promptTokens = usage.promptTokens ?? usage.prompt_tokens ?? usage.input_tokens;
+        const completionTokens = usage.completionTokens ?? usage.completion_tokens ?? usage.output_tokens;
+        if (promptTokens === undefined && completionTokens === undefined) return null;
+
+        return {
+            promptTokens: Number(promptTokens) || 0,
+            completionTokens: Number(completionTokens) || 0
+        };
+    }
+}
+
+/**
+ * Simulated transport
+ * In-process canned responses used for demos and local development
+ */
+class SimulatedTransport extends AgentTransport {
+    constructor() {
+        super();
+        this.minDelay = 500;
+        this.maxDelay = 2000;
+        this.tokenDelay = 30;
+    }
+
+    /**
+     * Send query to the simulated agent
+     */
+    async send(agent, request, options = {}) {
+        // Simulate network delay
+        const delay = this.minDelay + Math.random() * (this.maxDelay - this.minDelay);
+        await this.delay(delay, options.signal);
+
+        const response = this.simulateResponse(request.message, agent);
+
+        // Stream the canned answer word by word when the caller wants chunks
+        if (typeof options.onChunk === 'function') {
+            const tokens = response.content.match(/\S+\s*/g) || [];
+            for (const token of tokens) {
+                await this.delay(this.tokenDelay, options.signal);
+                this.emitChunk(options, token);
+            }
+        }
+
+        return response;
+    }
+
+    /**
+     * Pick a canned response based on agent type
+     */
+    simulateResponse(message, agent) {
+        switch (agent.type) {
+            case 'hr':
+                return this.simulateHRResponse(message, agent);
+            case 'knowledge':
+                return this.simulateKnowledgeResponse(message, agent);
+            case 'finance':
+                return this.simulateFinanceResponse(message, agent);
+            default:
+                return this.simulateGenericResponse(message, agent);
+        }
+    }
+
+    /**
+     * Simulate HR agent response
+     */
+    simulateHRResponse(message, agent) {
+        const responses = {
+            vacation: {
+                content: "You have 12 vacation days remaining this year. Your next scheduled PTO is March 15-17 (3 days). Would you like me to help you submit a new vacation request?",
+                sources: [
+                    { name: "Workday", description: "Employee vacation balance from Workday system" },
+                    { name: "PTO Policy", description: "Company paid time off policy document" }
+                ],
+                confidence: 0.95
+            },
+            benefits: {
+                content: "Your current benefits include Health Insurance (PPO plan), 401(k) with 6% company match, and $50,000 life insurance. Open enrollment is November 1-15. Need help with any specific benefit questions?",
+                sources: [
+                    { name: "Benefits Portal", description: "Employee benefits information system" },
+                    { name: "HR Guidelines", description: "Benefits enrollment guidelines" }
+                ],
+                confidence: 0.92
+            },
+            policy: {
+                content: "Our remote work policy allows up to 3 days per week remote with manager approval. Core hours are 10 AM - 3 PM ET. Equipment allowance includes laptop and $500 for home office setup.",
+                sources: [
+                    { name: "Employee Handbook", description: "Remote work policy section 4.2" },
+                    { name: "IT Policy", description: "Equipment and security guidelines" }
+                ],
+                confidence: 0.88
+            }
+        };
+
+        // Simple keyword matching for demo
+        const lowerMessage = message.toLowerCase();
+        if (lowerMessage.includes('vacation') || lowerMessage.includes('pto') || lowerMessage.includes('time off')) {
+            return responses.vacation;
+        } else if (lowerMessage.includes('benefit') || lowerMessage.includes('insurance') || lowerMessage.includes('401k')) {
+            return responses.benefits;
+        } else if (lowerMessage.includes('remote') || lowerMessage.includes('policy') || lowerMessage.includes('work from home')) {
+            return responses.policy;
+        }
+
+        return {
+            content: "I can help with HR-related questions about vacation time, benefits, policies, and procedures. What specific information do you need?",
+            sources: [{ name: agent.name, description: "HR assistance system" }],
+            confidence: 0.7
+        };
+    }
+
+    /**
+     * Simulate knowledge/policy agent response
+     */
+    simulateKnowledgeResponse(message, agent) {
+        const responses = {
+            expense: {
+                content: "Expense reimbursement policy: Meals up to $75/day with receipts required for amounts over $25. Alcohol not reimbursable. Submit through Concur within 30 days.",
+                sources: [
+                    { name: "Finance Policy 3.1", description: "Employee expense reimbursement guidelines" },
+                    { name: "Concur Guide", description: "Expense submission process documentation" }
+                ],
+                confidence: 0.94
+            },
+            security: {
+                content: "Security policy requires: Two-factor authentication for all systems, password rotation every 90 days, VPN for remote access, and immediate reporting of suspected security incidents.",
+                sources: [
+                    { name: "IT Security Policy", description: "Corporate information security standards" },
+                    { name: "Compliance Manual", description: "Security compliance requirements" }
+                ],
+                confidence: 0.91
+            },
+            compliance: {
+                content: "All employees must complete annual compliance training by December 31st. This includes ethics, anti-harassment, and data privacy modules. Certificates are tracked in the learning management system.",
+                sources: [
+                    { name: "Compliance Framework", description: "Annual training requirements" },
+                    { name: "Training Records", description: "Employee completion tracking system" }
+                ],
+                confidence: 0.89
+            }
+        };
+
+        const lowerMessage = message.toLowerCase();
+        if (lowerMessage.includes('expense') || lowerMessage.includes('reimburse') || lowerMessage.includes('receipt')) {
+            return responses.expense;
+        } else if (lowerMessage.includes('security') || lowerMessage.includes('password') || lowerMessage.includes('vpn')) {
+            return responses.security;
+        } else if (lowerMessage.includes('compliance') || lowerMessage.includes('training') || lowerMessage.includes('ethics')) {
+            return responses.compliance;
+        }
+
+        return {
+            content: "I can help you find information about company policies, procedures, and compliance requirements. What specific topic are you looking for?",
+            sources: [{ name: agent.name, description: "Knowledge base system" }],
+            confidence: 0.7
+        };
+    }
+
+    /**
+     * Simulate finance agent response
+     */
+    simulateFinanceResponse(message, agent) {
+        return {
+            content: "Your department budget shows 73% utilization ($127k of $175k allocated). Q2 forecast is on track. Major categories: Software licenses (45%), Contractors (28%), Travel (15%). Need specific budget details?",
+            sources: [
+                { name: "SAP Financial System", description: "Department budget and expense tracking" },
+                { name: "Q2 Forecast", description: "Budget projection and variance analysis" }
+            ],
+            confidence: 0.87
+        };
+    }
+
+    /**
+     * Simulate generic agent response
+     */
+    simulateGenericResponse(message, agent) {
+        return {
+            content: `I've processed your query: "${message}". I can provide general assistance, but you might get better results from a specialized agent for your specific domain.`,
+            sources: [{ name: agent.name, description: "General purpose AI assistant" }],
+            confidence: 0.6
+        };
+    }
+}
+
+/**
+ * HTTP JSON transport
+ * POSTs the query and expects a single JSON answer
+ */
+class HttpJsonTransport extends AgentTransport {
+    /**
+     * Send query over HTTP
+     */
+    async send(agent, request, options = {}) {
+        const url = this.buildUrl(agent, '/query');
+        const body = JSON.stringify(this.buildPayload(agent, request));
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: await this.buildHeaders(agent, {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            }, { method: 'POST', url, body }),
+            body,
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw this.createResponseError(agent, response);
+        }
+
+        const result = this.normalizeResponse(await response.json());
+
+        // Plain HTTP answers arrive in one piece
+        this.emitChunk(options, result.content);
+
+        return result;
+    }
+}
+
+/**
+ * Server-Sent Events transport
+ * POSTs the query and reads a text/event-stream answer
+ */
+class ServerSentEventsTransport extends AgentTransport {
+    /**
+     * Send query and consume the event stream
+     */
+    async send(agent, request, options = {}) {
+        const url = this.buildUrl(agent, '/stream');
+        const body = JSON.stringify(this.buildPayload(agent, request));
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: await this.buildHeaders(agent, {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            }, { method: 'POST', url, body }),
+            body,
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw this.createResponseError(agent, response);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const result = { content: '', sources: [], confidence: undefined, usage: null };
+        let buffer = '';
+        let done = false;
+
+        while (!done) {
+            const chunk = await reader.read();
+            if (chunk.done) break;
+
+            buffer += decoder.decode(chunk.value, { stream: true });
+
+            // Events are separated by a blank line
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop();
+
+            for (const rawEvent of events) {
+                const event = this.parseEvent(rawEvent);
+                if (event) {
+                    done = this.applyEvent(agent, result, event, options);
+                    if (done) break;
+                }
+            }
+        }
+
+        if (done) {
+            reader.cancel().catch(() => {});
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse one raw SSE event block
+     */
+    parseEvent(rawEvent) {
+        let eventType = 'message';
+        const dataLines = [];
+
+        rawEvent.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('event:')) {
+                eventType = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+        });
+
+        if (dataLines.length === 0) return null;
+
+        const data = dataLines.join('\n');
+        try {
+            return { type: eventType, data: JSON.parse(data) };
+        } catch (error) {
+            return { type: eventType, data: { content: data } };
+        }
+    }
+
+    /**
+     * Apply a parsed event to the accumulated result; returns true when the stream is finished
+     */
+    applyEvent(agent, result, event, options) {
+        const type = event.data.type || event.type;
+
+        switch (type) {
+            case 'error':
+                throw new AgentRequestError(event.data.message || 'Agent stream error', {
+                    type: event.data.errorType,
+                    agentId: agent.id
+                });
+            case 'done':
+            case 'complete':
+                Object.assign(result, this.normalizeResponse({
+                    content: result.content,
+                    ...event.data
+                }));
+                return true;
+            default: {
+                const delta = event.data.content ?? event.data.delta ?? '';
+                result.content += delta;
+                this.emitChunk(options, delta);
+                return false;
+            }
+        }
+    }
+}
+
+/**
+ * WebSocket transport
+ * Keeps one socket per agent and correlates answers by request id
+ */
+class WebSocketTransport extends AgentTransport {
+    constructor() {
+        super();
+        this.sockets = new Map();
+        this.pending = new Map();
+        this.requestCounter = 0;
+    }
+
+    /**
+     * Send query over the agent's socket
+     */
+    async send(agent, request, options = {}) {
+        const socket = await this.getSocket(agent);
+        const requestId = `ws_${++this.requestCounter}`;
+        const { signal } = options;
+
+        // The socket may outlive an HMAC timestamp or an OAuth token, so every
+        // request carries fresh auth headers. Signatures cover the message
+        // as sent, without its `headers` field.
+        const message = { id: requestId, ...this.buildPayload(agent, request) };
+        const headers = await AgentAuth.getHeaders(agent, {
+            method: 'POST',
+            url: this.buildSocketUrl(agent),
+            body: JSON.stringify(message)
+        });
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.createAbortError(signal));
+                return;
+            }
+
+            // Tell the backend to stop and stop waiting for the answer
+            const onAbort = () => {
+                if (!this.pending.has(requestId)) return;
+
+                this.pending.delete(requestId);
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify({ id: requestId, type: 'cancel' }));
+                }
+                reject(this.createAbortError(signal));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            // Stop listening for aborts once the request settles
+            const settle = callback => (value) => {
+                signal?.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+
+            this.pending.set(requestId, {
+                agentId: agent.id,
+                socket,
+                options,
+                resolve: settle(resolve),
+                reject: settle(reject),
+                result: { content: '', sources: [], confidence: undefined, usage: null }
+            });
+
+            socket.send(JSON.stringify(Object.keys(headers).length > 0 ? { ...message, headers } : message));
+        });
+    }
+
+    /**
+     * Get an open socket for the agent, connecting if needed
+     */
+    getSocket(agent) {
+        const existing = this.sockets.get(agent.id);
+        if (existing && existing.url === this.buildSocketUrl(agent)) {
+            return existing.ready;
+        }
+
+        if (existing) {
+            existing.socket.close();
+        }
+
+        const url = this.buildSocketUrl(agent);
+        const socket = new WebSocket(url);
+
+        const opened = new Promise((resolve, reject) => {
+            socket.addEventListener('open', () => resolve(socket), { once: true });
+            socket.addEventListener('error', () => {
+                reject(new AgentRequestError(`WebSocket connection to agent ${agent.id} failed`, {
+                    type: AgentRequestError.TYPES.UNAVAILABLE,
+                    agentId: agent.id
+                }));
+            }, { once: true });
+        });
+
+        // Browsers can't set headers on a WebSocket, so auth goes in the first
+        // message (and again on every request, see send)
+        const ready = Promise.all([opened, AgentAuth.getHeaders(agent, { method: 'GET', url })])
+            .then(([openSocket, headers]) => {
+                if (Object.keys(headers).length > 0) {
+                    openSocket.send(JSON.stringify({ type: 'auth', headers }));
+                }
+                return openSocket;
+            })
+            .catch(error => {
+                socket.close();
+                throw error;
+            });
+
+        socket.addEventListener('message', (event) => this.handleMessage(event));
+        socket.addEventListener('close', () => this.handleClose(agent.id, socket));
+
+        this.sockets.set(agent.id, { url, socket, ready });
+
+        return ready;
+    }
+
+    /**
+     * Build the WebSocket URL for an agent
+     */
+    buildSocketUrl(agent) {
+        const url = this.buildUrl(agent, '/ws');
+        return url.replace(/^http/, 'ws');
+    }
+
+    /**
+     * Handle an incoming socket message
+     */
+    handleMessage(event) {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (error) {
+            console.warn('Ignoring malformed WebSocket message:', event.data);
+            return;
+        }
+
+        const pending = this.pending.get(data.id);
+        if (!pending) return;
+
+        switch (data.type) {
+            case 'chunk': {
+                const delta = data.content ?? data.delta ?? '';
+                pending.result.content += delta;
+                this.emitChunk(pending.options, delta);
+                break;
+            }
+            case 'error':
+                this.pending.delete(data.id);
+                if (data.errorType === AgentRequestError.TYPES.UNAUTHORIZED) {
+                    // Fetch a new OAuth token for the next request
+                    AgentAuth.invalidateToken(pending.agentId);
+                }
+                pending.reject(new AgentRequestError(data.message || 'Agent socket error', {
+                    type: data.errorType,
+                    agentId: pending.agentId
+                }));
+                break;
+            default:
+                // 'done' or a single-shot answer
+                this.pending.delete(data.id);
+                pending.resolve(this.normalizeResponse({
+                    content: pending.result.content,
+                    ...data
+                }));
+        }
+    }
+
+    /**
+     * Reject requests sent on a socket when it closes; requests already on
+     * the agent's replacement socket carry on
+     */
+    handleClose(agentId, socket) {
+        const entry = this.sockets.get(agentId);
+        if (entry && entry.socket === socket) {
+            this.sockets.delete(agentId);
+        }
+
+        this.pending.forEach((pending, requestId) => {
+            if (pending.socket === socket) {
+                this.pending.delete(requestId);
+                pending.reject(new AgentRequestError(`WebSocket connection to agent ${agentId} closed`, {
+                    type: AgentRequestError.TYPES.UNAVAILABLE,
+                    agentId
+                }));
+            }
+        });
+    }
+
+    /**
+     * Close the socket for one agent
+     */
+    disconnect(agentId) {
+        this.sockets.get(agentId)?.socket.close();
+    }
+
+    /**
+     * Close all sockets
+     */
+    dispose() {
+        this.sockets.forEach(({ socket }) => socket.close());
+        this.sockets.clear();
+    }
+}
+
+// Create global instance
+window.AgentTransports = new AgentTransportRegistry();
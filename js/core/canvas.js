@@ -11,6 +11,14 @@ class AICanvas {
         this.currentPreset = 'executive';
         this.sidebarCollapsed = false;
         
+        // Agent registry hot-reload
+        this.registryReloadInterval = 60000;
+        this.registryReloadTimer = null;
+        this.registryReloadInProgress = false;
+        
+        // Per-agent health checks, slowed down while the tab is hidden
+        this.healthMonitor = new AgentHealthMonitor(this.agents);
+        
         // Bind methods
         this.handleResize = this.handleResize.bind(this);
         this.handleKeyboard = this.handleKeyboard.bind(this);
@@ -49,8 +57,10 @@ class AICanvas {
             // Load user preferences
             await this.loadUserPreferences();
             
-            // Initialize default widgets
-            this.createDefaultWorkspace();
+            // Restore the last session's widgets, or start from the preset
+            if (!this.restoreWorkspaceState()) {
+                this.createDefaultWorkspace();
+            }
             
             this.initialized = true;
             
@@ -92,46 +102,196 @@ class AICanvas {
      */
     async loadAgentData() {
         try {
-            const response = await fetch('data/agents.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+            // Schema-validated registry; invalid agents come back as errors
+            const { agents, errors } = await AgentRegistry.load();
             
-            const agentData = await response.json();
-            
-            // Validate and process agent data
-            agentData.agents.forEach(agent => {
-                if (this.validateAgentConfig(agent)) {
-                    this.agents.set(agent.id, {
-                        ...agent,
-                        status: 'unknown',
-                        lastHealthCheck: null,
-                        metrics: {
-                            uptime: 0,
-                            responseTime: 0,
-                            errorRate: 0,
-                            requestCount: 0
-                        }
-                    });
-                }
+            agents.forEach(agent => {
+                this.agents.set(agent.id, this.createAgentState(agent));
             });
             
+            if (errors.length > 0) {
+                this.reportRegistryErrors(errors);
+            }
+            
             // Start health monitoring
             this.startAgentHealthMonitoring();
             
+            // Pick up registry edits without a page reload
+            this.startRegistryAutoReload();
+            
         } catch (error) {
             console.error('Failed to load agent data:', error);
+            this.reportRegistryErrors(error.errors?.length ? error.errors : [{ path: 'data/agents.json', message: error.message }]);
             // Load fallback data
             this.loadFallbackAgents();
         }
+        
+        document.dispatchEvent(new CustomEvent('agents:loaded', {
+            detail: { agents: Array.from(this.agents.values()) }
+        }));
+    }
+
+    /**
+     * Re-fetch the agent registry and apply adds, removals and changes live
+     */
+    async reloadAgentRegistry() {
+        if (this.registryReloadInProgress) return null;
+        this.registryReloadInProgress = true;
+        
+        try {
+            const { agents, errors } = await AgentRegistry.load();
+            
+            if (errors.length > 0) {
+                this.reportRegistryErrors(errors);
+            }
+            
+            const diff = this.diffAgents(agents);
+            this.applyAgentDiff(diff);
+            
+            return diff;
+            
+        } catch (error) {
+            // Keep the agents we have; the next reload may succeed
+            console.warn('Failed to reload agent registry:', error);
+            return null;
+        } finally {
+            this.registryReloadInProgress = false;
+        }
+    }
+
+    /**
+     * Reload the registry every `interval` ms (0 disables)
+     */
+    startRegistryAutoReload(interval = this.registryReloadInterval) {
+        clearInterval(this.registryReloadTimer);
+        this.registryReloadInterval = interval;
+        
+        if (interval > 0) {
+            this.registryReloadTimer = setInterval(() => this.reloadAgentRegistry(), interval);
+        }
+    }
+
+    /**
+     * Compare registry agents with the running ones
+     */
+    diffAgents(registryAgents) {
+        // Set by the health monitor, never by the registry
+        const runtimeFields = ['status', 'lastHealthCheck', 'health'];
+        const incoming = new Map(registryAgents.map(agent => [agent.id, agent]));
+        const diff = { added: [], removed: [], updated: [] };
+        
+        incoming.forEach((agent, agentId) => {
+            const current = this.agents.get(agentId);
+            if (!current) {
+                diff.added.push(agent);
+                return;
+            }
+            
+            const fields = new Set([...Object.keys(agent), ...Object.keys(current)]);
+            const changes = Array.from(fields).filter(field =>
+                !runtimeFields.includes(field) &&
+                JSON.stringify(agent[field]) !== JSON.stringify(current[field])
+            );
+            
+            if (changes.length > 0) {
+                diff.updated.push({ agent, changes });
+            }
+        });
+        
+        this.agents.forEach((agent, agentId) => {
+            if (!incoming.has(agentId)) {
+                diff.removed.push(agent);
+            }
+        });
+        
+        return diff;
+    }
+
+    /**
+     * Apply a registry diff to this.agents and broadcast it
+     */
+    applyAgentDiff({ added, removed, updated }) {
+        removed.forEach(agent => {
+            this.agents.delete(agent.id);
+            this.healthMonitor.forget(agent.id);
+            AgentTransports.releaseAgent(agent.id);
+        });
+        
+        added.forEach(agent => {
+            this.agents.set(agent.id, this.createAgentState(agent));
+        });
+        
+        updated.forEach(({ agent, changes }) => {
+            const current = this.agents.get(agent.id);
+            const reconnect = changes.includes('endpoint') || changes.includes('transport');
+            
+            this.agents.set(agent.id, {
+                ...agent,
+                status: reconnect ? 'unknown' : current.status,
+                lastHealthCheck: reconnect ? null : current.lastHealthCheck,
+                ...(!reconnect && current.health && { health: current.health })
+            });
+        });
+        
+        if (removed.length > 0) {
+            document.dispatchEvent(new CustomEvent('agents:removed', {
+                detail: { agentIds: removed.map(agent => agent.id), agents: removed }
+            }));
+        }
+        
+        if (added.length > 0) {
+            document.dispatchEvent(new CustomEvent('agents:added', {
+                detail: { agents: added.map(agent => this.agents.get(agent.id)) }
+            }));
+        }
+        
+        if (updated.length > 0) {
+            document.dispatchEvent(new CustomEvent('agents:updated', {
+                detail: {
+                    agents: updated.map(({ agent }) => this.agents.get(agent.id)),
+                    changes: Object.fromEntries(updated.map(({ agent, changes }) => [agent.id, changes]))
+                }
+            }));
+        }
+        
+        // New or re-pointed agents need a fresh health check
+        [...added, ...updated.map(({ agent }) => agent)].forEach(agent => {
+            const runtimeAgent = this.agents.get(agent.id);
+            if (runtimeAgent.status === 'unknown') {
+                this.checkAgentHealth(runtimeAgent);
+            }
+        });
+        
+        const total = added.length + removed.length + updated.length;
+        if (total > 0) {
+            console.log(`Agent registry reloaded: ${added.length} added, ${removed.length} removed, ${updated.length} updated`);
+        }
     }
 
     /**
-     * Validate agent configuration
+     * Create runtime state for a registry agent
      */
-    validateAgentConfig(agent) {
-        const required = ['id', 'name', 'type', 'capabilities'];
-        return required.every(field => agent.hasOwnProperty(field));
+    createAgentState(agent) {
+        return {
+            ...agent,
+            status: 'unknown',
+            lastHealthCheck: null
+        };
+    }
+
+    /**
+     * Tell the user which registry fields were rejected
+     */
+    reportRegistryErrors(errors) {
+        const lines = errors.map(error => `${error.path || '(root)'} ${error.message}`);
+        const skipped = new Set(errors.map(error => error.agentId).filter(Boolean));
+        
+        NotificationManager.show({
+            type: 'warning',
+            title: skipped.size > 0 ? `Skipped ${skipped.size} agent(s) with invalid configuration` : 'Agent registry invalid',
+            message: lines.slice(0, 5).join('\n') + (lines.length > 5 ? `\n…and ${lines.length - 5} more` : ''),
+            duration: 10000
+        });
     }
 
     /**
@@ -143,16 +303,24 @@ class AICanvas {
                 id: 'workday',
                 name: 'Workday Assistant',
                 type: 'hr',
+                description: 'HR & Payroll',
                 capabilities: ['vacation', 'payroll', 'benefits'],
+                routing: { categories: ['hr'], keywords: ['vacation', 'payroll', 'benefits'], fallback: true },
+                defaultEnabled: true,
                 endpoint: null,
+                transport: 'simulated',
                 status: 'offline'
             },
             {
                 id: 'policy',
                 name: 'Policy Bot',
                 type: 'knowledge',
+                description: 'Knowledge & Compliance',
                 capabilities: ['policies', 'procedures', 'compliance'],
+                routing: { categories: ['policy', 'knowledge'], keywords: ['policy', 'procedure', 'compliance'], fallback: true },
+                defaultEnabled: true,
                 endpoint: null,
+                transport: 'simulated',
                 status: 'offline'
             }
         ];
@@ -312,61 +480,14 @@ class AICanvas {
      * Start monitoring agent health
      */
     startAgentHealthMonitoring() {
-        // Check agent health every 30 seconds
-        setInterval(() => {
-            this.agents.forEach(agent => {
-                this.checkAgentHealth(agent);
-            });
-        }, 30000);
-        
-        // Initial health check
-        setTimeout(() => {
-            this.agents.forEach(agent => {
-                this.checkAgentHealth(agent);
-            });
-        }, 1000);
+        this.healthMonitor.start();
     }
 
     /**
-     * Check health of a specific agent
+     * Check health of a specific agent now
      */
     async checkAgentHealth(agent) {
-        if (!agent.endpoint) {
-            agent.status = 'offline';
-            return;
-        }
-        
-        try {
-            const startTime = performance.now();
-            const response = await fetch(`${agent.endpoint}/health`, {
-                method: 'GET',
-                timeout: 5000
-            });
-            
-            const endTime = performance.now();
-            const responseTime = endTime - startTime;
-            
-            if (response.ok) {
-                agent.status = 'online';
-                agent.metrics.responseTime = responseTime;
-                agent.metrics.uptime = Math.min(agent.metrics.uptime + 1, 100);
-            } else {
-                agent.status = 'error';
-                agent.metrics.errorRate += 1;
-            }
-            
-            agent.lastHealthCheck = new Date();
-            
-            // Emit status change event
-            document.dispatchEvent(new CustomEvent('agent:status-changed', {
-                detail: { agentId: agent.id, status: agent.status, metrics: agent.metrics }
-            }));
-            
-        } catch (error) {
-            agent.status = 'offline';
-            agent.metrics.errorRate += 1;
-            console.warn(`Health check failed for agent ${agent.id}:`, error);
-        }
+        return this.healthMonitor.checkNow(agent.id);
     }
 
     /**
@@ -467,7 +588,7 @@ class AICanvas {
     */
    pauseOperations() {
        // Reduce health check frequency
-       this.healthCheckInterval = 60000; // 1 minute instead of 30 seconds
+       this.healthMonitor.setHidden(true);
        
        // Pause animations
        document.body.classList.add('paused');
@@ -479,8 +600,8 @@ class AICanvas {
     * Resume operations when tab becomes visible
     */
    resumeOperations() {
-       // Restore normal health check frequency
-       this.healthCheckInterval = 30000;
+       // Restore normal health check frequency (and catch up on missed checks)
+       this.healthMonitor.setHidden(false);
        
        // Resume animations
        document.body.classList.remove('paused');
@@ -517,19 +638,38 @@ class AICanvas {
     * Handle agent status changes
     */
    handleAgentStatusChanged(event) {
-       const { agentId, status, metrics } = event.detail;
+       const { agentId, status, previousStatus, circuit, previousCircuit, reason } = event.detail;
+       const agentName = this.agents.get(agentId)?.name || agentId;
        
        // Update UI indicators
-       SidebarManager.updateAgentStatus(agentId, status, metrics);
+       SidebarManager.updateAgentStatus(agentId, status, circuit);
        
-       // Show notification for critical status changes
-       if (status === 'offline' || status === 'error') {
+       // Circuit breaker transitions
+       if (circuit === 'open') {
            NotificationManager.show({
                type: 'warning',
-               title: 'Agent Status Change',
-               message: `${this.agents.get(agentId)?.name || agentId} is now ${status}`,
+               title: 'Agent Paused',
+               message: `${agentName} stopped receiving queries (${reason})`,
                duration: 5000
            });
+       } else if (circuit === 'closed' && previousCircuit) {
+           NotificationManager.show({
+               type: 'success',
+               title: 'Agent Recovered',
+               message: `${agentName} is receiving queries again`,
+               duration: 3000
+           });
+       }
+       
+       // Status transitions, per the AgentStatus notification rules
+       const notification = AgentStatus.getNotification(previousStatus, status);
+       if (notification) {
+           NotificationManager.show({
+               type: notification.type,
+               title: 'Agent Status Change',
+               message: `${agentName} ${notification.message}`,
+               duration: notification.type === 'success' ? 3000 : 5000
+           });
        }
    }
 
@@ -602,6 +742,27 @@ class AICanvas {
        }, 300);
    }
 
+   /**
+    * Restore widgets (and chat history) saved by saveWorkspaceState
+    */
+   restoreWorkspaceState() {
+       try {
+           const savedState = JSON.parse(localStorage.getItem('aicanvas_workspace') || 'null');
+           if (!savedState || !Array.isArray(savedState.widgets) || savedState.widgets.length === 0) {
+               return false;
+           }
+           
+           savedState.widgets.forEach(widgetData => {
+               WidgetManager.createWidgetFromData(widgetData);
+           });
+           
+           return true;
+       } catch (error) {
+           console.warn('Failed to restore workspace state:', error);
+           return false;
+       }
+   }
+
    /**
     * Switch workspace preset
     */
@@ -657,6 +818,7 @@ class AICanvas {
                timestamp: new Date().toISOString(),
                preset: this.currentPreset,
                widgets: WidgetManager.getSerializableState(),
+               // Public agent fields only; secrets stay in the credential vault
                agents: Array.from(this.agents.values()).map(agent => ({
                    id: agent.id,
                    name: agent.name,
@@ -791,6 +953,7 @@ class AICanvas {
            currentPreset: this.currentPreset,
            widgetCount: this.widgets.size,
            agentCount: this.agents.size,
+           credentialVault: CredentialVault.getSummary(),
            performance: this.getPerformanceStats(),
            viewport: this.getCanvasViewport(),
            userAgent: navigator.userAgent,
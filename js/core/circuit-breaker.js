@@ -0,0 +1,254 @@
+/**
+ * Circuit Breaker
+ * Stops routing traffic to failing agents and probes them again after a cooldown
+ */
+
+class CircuitBreakerRegistry {
+    constructor(options = {}) {
+        this.circuits = new Map();
+
+        // Defaults, overridable per agent through agent.limits.circuitBreaker
+        this.config = {
+            failureThreshold: 5,       // consecutive failures that open the circuit
+            errorRateThreshold: 50,    // % errors since the circuit last closed
+            minimumRequests: 10,       // volume needed before the error rate counts
+            reliabilityThreshold: 20,  // reliability score below which the circuit opens
+            resetTimeout: 30000,       // time an open circuit waits before probing
+            ...options
+        };
+    }
+
+    /**
+     * Get (or create) circuit state for an agent
+     */
+    getCircuit(agentId) {
+        if (!this.circuits.has(agentId)) {
+            this.circuits.set(agentId, {
+                state: 'closed',
+                consecutiveFailures: 0,
+                openedAt: null,
+                probe: null,           // Token of the half-open probe in flight
+                resetTimer: null,
+                // Metric totals when the circuit last closed, so old failures don't count
+                baseline: { totalQueries: 0, successfulQueries: 0 }
+            });
+        }
+        return this.circuits.get(agentId);
+    }
+
+    /**
+     * Get circuit state name for an agent
+     */
+    getState(agentId) {
+        return this.circuits.get(agentId)?.state || 'closed';
+    }
+
+    /**
+     * Check whether an agent may receive traffic
+     */
+    canRoute(agentId) {
+        const circuit = this.circuits.get(agentId);
+        if (!circuit) return true;
+
+        switch (circuit.state) {
+            case 'open':
+                return false;
+            case 'half-open':
+                // Only one probe request at a time
+                return !circuit.probe;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Mark the start of a request. In a half-open circuit it claims the probe
+     * slot and gets a token to pass to recordResult/releaseProbe; otherwise null.
+     */
+    beginRequest(agentId) {
+        const circuit = this.circuits.get(agentId);
+        if (!circuit || circuit.state !== 'half-open') return null;
+
+        circuit.probe = { agentId };
+        return circuit.probe;
+    }
+
+    /**
+     * Free a half-open circuit's probe slot without counting a result, e.g.
+     * when the user cancelled the probe; the next request probes instead
+     */
+    releaseProbe(agentId, probe) {
+        const circuit = this.circuits.get(agentId);
+        if (probe && circuit?.probe === probe) {
+            circuit.probe = null;
+        }
+    }
+
+    /**
+     * Record the outcome of a request using the agent's performance metrics.
+     * Only the probe (`probe` from beginRequest) decides a half-open circuit;
+     * requests sent before it opened don't.
+     */
+    recordResult(agentId, success, metrics, agentConfig = {}, probe = null) {
+        const circuit = this.getCircuit(agentId);
+        const config = { ...this.config, ...(agentConfig.limits?.circuitBreaker || {}) };
+        const isProbe = Boolean(probe) && circuit.probe === probe;
+
+        if (isProbe) {
+            circuit.probe = null;
+        }
+
+        if (success) {
+            circuit.consecutiveFailures = 0;
+            if (isProbe && circuit.state === 'half-open') {
+                this.close(agentId, metrics);
+            }
+            return;
+        }
+
+        circuit.consecutiveFailures++;
+
+        // A failed probe re-opens the circuit immediately
+        if (isProbe && circuit.state === 'half-open') {
+            this.open(agentId, config, 'probe request failed');
+            return;
+        }
+
+        if (circuit.state !== 'closed') return;
+
+        const reason = this.getTripReason(circuit, config, metrics);
+        if (reason) {
+            this.open(agentId, config, reason);
+        }
+    }
+
+    /**
+     * Decide whether a closed circuit should open
+     */
+    getTripReason(circuit, config, metrics) {
+        if (circuit.consecutiveFailures >= config.failureThreshold) {
+            return `${circuit.consecutiveFailures} consecutive failures`;
+        }
+
+        if (!metrics) return null;
+
+        const total = metrics.totalQueries - circuit.baseline.totalQueries;
+        const successful = metrics.successfulQueries - circuit.baseline.successfulQueries;
+
+        if (total < config.minimumRequests) return null;
+
+        const errorRate = ((total - successful) / total) * 100;
+        if (errorRate >= config.errorRateThreshold) {
+            return `error rate ${Math.round(errorRate)}%`;
+        }
+
+        if (metrics.reliability < config.reliabilityThreshold) {
+            return `reliability ${Math.round(metrics.reliability)}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Open a circuit and schedule the half-open probe
+     */
+    open(agentId, config, reason) {
+        const circuit = this.getCircuit(agentId);
+
+        clearTimeout(circuit.resetTimer);
+        circuit.openedAt = Date.now();
+        circuit.resetTimer = setTimeout(() => {
+            this.halfOpen(agentId);
+        }, config.resetTimeout);
+
+        this.transition(agentId, 'open', reason);
+    }
+
+    /**
+     * Allow a single probe request through
+     */
+    halfOpen(agentId) {
+        const circuit = this.getCircuit(agentId);
+        circuit.resetTimer = null;
+        circuit.probe = null;
+
+        this.transition(agentId, 'half-open', 'cooldown elapsed');
+    }
+
+    /**
+     * Close a circuit and reset its counters
+     */
+    close(agentId, metrics) {
+        const circuit = this.getCircuit(agentId);
+
+        clearTimeout(circuit.resetTimer);
+        circuit.resetTimer = null;
+        circuit.openedAt = null;
+        circuit.consecutiveFailures = 0;
+        circuit.baseline = {
+            totalQueries: metrics?.totalQueries || 0,
+            successfulQueries: metrics?.successfulQueries || 0
+        };
+
+        this.transition(agentId, 'closed', 'probe request succeeded');
+    }
+
+    /**
+     * Force a circuit closed (e.g. after a manual connection test)
+     */
+    reset(agentId, metrics) {
+        if (this.getState(agentId) !== 'closed') {
+            this.close(agentId, metrics);
+        }
+    }
+
+    /**
+     * Forget an agent's circuit (e.g. when it leaves the registry)
+     */
+    remove(agentId) {
+        clearTimeout(this.circuits.get(agentId)?.resetTimer);
+        this.circuits.delete(agentId);
+    }
+
+    /**
+     * Apply a state change and broadcast it
+     */
+    transition(agentId, state, reason) {
+        const circuit = this.getCircuit(agentId);
+        const previousState = circuit.state;
+
+        if (previousState === state) return;
+
+        circuit.state = state;
+        console.log(`Circuit for ${agentId}: ${previousState} → ${state} (${reason})`);
+
+        const agent = window.AgentOrchestrator?.agents.get(agentId);
+
+        document.dispatchEvent(new CustomEvent('agent:status-changed', {
+            detail: {
+                agentId,
+                status: agent?.status || 'unknown',
+                circuit: state,
+                previousCircuit: previousState,
+                reason
+            }
+        }));
+    }
+
+    /**
+     * Get serializable snapshot of all circuits
+     */
+    getSnapshot() {
+        const snapshot = {};
+
+        this.circuits.forEach((circuit, agentId) => {
+            snapshot[agentId] = {
+                state: circuit.state,
+                consecutiveFailures: circuit.consecutiveFailures,
+                openedAt: circuit.openedAt
+            };
+        });
+
+        return snapshot;
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Conversation Memory
+ * Per-widget chat history with a turn/token budget; older turns are folded into a summary
+ */
+
+class ConversationMemory {
+    constructor(options = {}) {
+        this.maxTurns = options.maxTurns ?? 12; // 0 turns memory off
+        this.maxTokens = options.maxTokens || 1500;
+        this.maxSummaryTokens = options.maxSummaryTokens || 300;
+        this.turns = [];
+        this.summary = '';
+    }
+
+    /**
+     * Restore memory saved with toJSON()
+     */
+    static fromJSON(data = {}, options = {}) {
+        const memory = new ConversationMemory(options);
+        memory.turns = Array.isArray(data.turns) ? data.turns : [];
+        memory.summary = data.summary || '';
+        memory.compact();
+        return memory;
+    }
+
+    /**
+     * Change the budget, compacting right away if it shrank
+     */
+    setBudget({ maxTurns, maxTokens } = {}) {
+        if (maxTurns !== null && maxTurns !== undefined) this.maxTurns = maxTurns;
+        if (maxTokens) this.maxTokens = maxTokens;
+        this.compact();
+    }
+
+    /**
+     * Record a turn ('user' or 'assistant')
+     */
+    addTurn(role, content, meta = {}) {
+        if (!content || this.maxTurns === 0) return;
+
+        this.turns.push({
+            role,
+            content,
+            ...(meta.agents && { agents: meta.agents }),
+            ...(meta.queryId && { queryId: meta.queryId }),
+            timestamp: new Date().toISOString()
+        });
+
+        this.compact();
+    }
+
+    /**
+     * Drop the answer to a query, e.g. before asking it again.
+     * Answers already folded into the summary stay there.
+     */
+    removeAnswer(queryId) {
+        if (!queryId) return;
+        this.turns = this.turns.filter(turn => turn.role !== 'assistant' || turn.queryId !== queryId);
+    }
+
+    /**
+     * Get history to send with the next query
+     */
+    getContext() {
+        return {
+            summary: this.summary,
+            turns: this.turns.map(({ role, content, agents }) => ({
+                role,
+                content,
+                ...(agents && { agents })
+            }))
+        };
+    }
+
+    /**
+     * Forget the whole conversation
+     */
+    clear() {
+        this.turns = [];
+        this.summary = '';
+    }
+
+    /**
+     * Fold the oldest turns into the summary until the budget is met.
+     * The newest turn is always kept verbatim, unless memory is off.
+     */
+    compact() {
+        if (this.maxTurns === 0) {
+            this.clear();
+            return;
+        }
+
+        const folded = [];
+
+        while (this.turns.length > 1 &&
+               (this.turns.length > this.maxTurns || this.estimateTokens() > this.maxTokens)) {
+            folded.push(this.turns.shift());
+        }
+
+        if (folded.length > 0) {
+            this.summary = this.summarize(folded);
+        }
+    }
+
+    /**
+     * Extend the summary with the first sentence of each folded turn,
+     * dropping the oldest summary lines when it grows past its own budget
+     */
+    summarize(turns) {
+        const lines = this.summary ? this.summary.split('\n') : [];
+
+        turns.forEach(turn => {
+            const speaker = turn.role === 'user' ? 'User' : 'Assistant';
+            lines.push(`${speaker}: ${this.firstSentence(turn.content)}`);
+        });
+
+        while (lines.length > 1 && this.countTokens(lines.join('\n')) > this.maxSummaryTokens) {
+            lines.shift();
+        }
+
+        return lines.join('\n');
+    }
+
+    firstSentence(text) {
+        const plain = String(text).replace(/\*\*/g, '').replace(/\s+/g, ' ').trim();
+        const match = plain.match(/^.+?[.!?](?=\s|$)/);
+        const sentence = match ? match[0] : plain;
+        return sentence.length > 160 ? `${sentence.slice(0, 157)}...` : sentence;
+    }
+
+    /**
+     * Rough token estimate for the verbatim turns plus summary
+     */
+    estimateTokens() {
+        return this.turns.reduce((sum, turn) => sum + this.countTokens(turn.content), 0) +
+            this.countTokens(this.summary);
+    }
+
+    /**
+     * Approximate tokens as four characters each
+     */
+    countTokens(text) {
+        return Math.ceil(String(text || '').length / 4);
+    }
+
+    toJSON() {
+        return {
+            turns: this.turns,
+            summary: this.summary
+        };
+    }
+}
@@ -0,0 +1,434 @@
+/**
+ * Cost Ledger
+ * Token usage and spend built from the query log, with totals per day, agent
+ * and widget, and warnings as spend approaches the configured budgets
+ */
+
+class CostLedger {
+    constructor(options = {}) {
+        this.currency = options.currency || 'USD';
+        this.budgetsKey = options.budgetsKey || 'aicanvas_budgets';
+        this.budgets = {
+            daily: null,            // Spend per day, in `currency`
+            monthly: null,
+            warnAt: [0.8, 1],       // Fractions of a budget that trigger a warning
+            ...options.budgets,
+            ...this.loadBudgets()   // Set by the user, see setBudgets()
+        };
+        this.alertsKey = options.alertsKey || 'aicanvas_budget_alerts';
+        this.retentionDays = options.retentionDays || 31;
+        this.charsPerToken = 4;     // Rough estimate for agents that don't report usage
+        this.entries = [];          // Oldest first: { queryId, timestamp, day, widgetId, success, duration, cached, calls, usage, cost }
+        this.alerts = this.loadAlerts();
+    }
+
+    /**
+     * Rebuild the ledger from the stored query log
+     */
+    async load(historyStore) {
+        const from = this.getRetentionStart();
+        const entries = await historyStore.query({ from, limit: Infinity });
+
+        // Queries logged while the store was loading are already in the ledger
+        const known = new Set(this.entries.map(entry => entry.queryId));
+        const loaded = entries.reverse()
+            .filter(entry => !known.has(entry.queryId))
+            .map(entry => this.toLedgerEntry(entry));
+
+        this.entries = [...loaded, ...this.entries]
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        this.announce();
+        this.checkBudgets();
+    }
+
+    /**
+     * Add a query log entry (see AgentOrchestrator.logQuery) and check the budgets
+     */
+    record(logEntry) {
+        this.entries.push(this.toLedgerEntry(logEntry));
+        this.prune();
+        this.announce();
+        this.checkBudgets();
+    }
+
+    /**
+     * Estimate usage from text length for agents that don't report it
+     */
+    estimateUsage(request, content) {
+        const prompt = [request.message, JSON.stringify(request.context || {})].join('\n');
+        return {
+            promptTokens: Math.ceil(prompt.length / this.charsPerToken),
+            completionTokens: Math.ceil((content || '').length / this.charsPerToken),
+            estimated: true
+        };
+    }
+
+    /**
+     * Price per-agent usage with each agent's registry pricing.
+     * `usage` is { agentId: { promptTokens, completionTokens, estimated } };
+     * agents without pricing cost nothing.
+     */
+    priceUsage(usage, agents) {
+        const priced = {};
+        let cost = 0;
+
+        Object.entries(usage || {}).forEach(([agentId, tokens]) => {
+            const pricing = agents.get(agentId)?.pricing || {};
+            const agentCost =
+                (tokens.promptTokens / 1000) * (pricing.promptPer1k || 0) +
+                (tokens.completionTokens / 1000) * (pricing.completionPer1k || 0);
+
+            priced[agentId] = { ...tokens, cost: agentCost };
+            cost += agentCost;
+        });
+
+        return { usage: priced, cost };
+    }
+
+    /**
+     * Totals for a time range: overall, and broken down by day, agent and widget.
+     * Agent totals also count the agent's requests: calls, successRate, averageCallTime.
+     * `from` and `to` are Dates or ISO strings; both default to unbounded.
+     */
+    getTotals({ from = null, to = null } = {}) {
+        const lower = from ? new Date(from).toISOString() : null;
+        const upper = to ? new Date(to).toISOString() : null;
+
+        const totals = {
+            ...this.createTotals(),
+            successful: 0,
+            cached: 0,
+            averageDuration: 0,
+            byDay: {},
+            byAgent: {},
+            byWidget: {}
+        };
+        let duration = 0;
+
+        this.entries.forEach(entry => {
+            if ((lower && entry.timestamp < lower) || (upper && entry.timestamp > upper)) return;
+
+            const tokens = this.sumTokens(entry.usage);
+            this.addTo(totals, tokens, entry.cost);
+            this.addTo(totals.byDay[entry.day] ??= this.createTotals(), tokens, entry.cost);
+
+            const widgetKey = entry.widgetId || 'none';
+            this.addTo(totals.byWidget[widgetKey] ??= this.createTotals(), tokens, entry.cost);
+
+            Object.entries(entry.usage).forEach(([agentId, agentUsage]) => {
+                this.addTo(totals.byAgent[agentId] ??= this.createAgentTotals(), agentUsage, agentUsage.cost);
+            });
+
+            entry.calls.forEach(call => {
+                const agentTotals = totals.byAgent[call.agentId] ??= this.createAgentTotals();
+                agentTotals.calls++;
+                agentTotals.totalCallTime += call.responseTime;
+                if (call.success) agentTotals.successfulCalls++;
+            });
+
+            if (entry.success) totals.successful++;
+            if (entry.cached) totals.cached++;
+            duration += entry.duration;
+        });
+
+        if (totals.queries > 0) {
+            totals.averageDuration = duration / totals.queries;
+        }
+
+        Object.values(totals.byAgent).forEach(agentTotals => {
+            agentTotals.successRate = agentTotals.calls > 0 ? (agentTotals.successfulCalls / agentTotals.calls) * 100 : null;
+            agentTotals.averageCallTime = agentTotals.calls > 0 ? agentTotals.totalCallTime / agentTotals.calls : null;
+        });
+
+        return totals;
+    }
+
+    /**
+     * Split a time range into `buckets` equal intervals, oldest first:
+     * [{ start, queries, cost, successRate, averageDuration }], rates null for empty intervals
+     */
+    getTimeline({ from = null, to = null, buckets = 24 } = {}) {
+        const start = new Date(from ?? this.getRetentionStart()).getTime();
+        const end = new Date(to ?? Date.now()).getTime();
+        const size = (end - start) / buckets;
+
+        const timeline = Array.from({ length: buckets }, (_, index) => ({
+            start: new Date(start + index * size).toISOString(),
+            queries: 0,
+            successful: 0,
+            duration: 0,
+            cost: 0
+        }));
+
+        this.entries.forEach(entry => {
+            const time = Date.parse(entry.timestamp);
+            if (time < start || time > end) return;
+
+            const bucket = timeline[Math.min(buckets - 1, Math.floor((time - start) / size))];
+            bucket.queries++;
+            bucket.duration += entry.duration;
+            bucket.cost += entry.cost;
+            if (entry.success) bucket.successful++;
+        });
+
+        return timeline.map(({ start: bucketStart, queries, successful, duration, cost }) => ({
+            start: bucketStart,
+            queries,
+            cost,
+            successRate: queries > 0 ? (successful / queries) * 100 : null,
+            averageDuration: queries > 0 ? duration / queries : null
+        }));
+    }
+
+    /**
+     * Today's totals
+     */
+    getToday() {
+        return this.getTotals({ from: this.startOfDay() });
+    }
+
+    /**
+     * Change the daily and monthly budgets (null removes one) and remember them.
+     * A changed budget starts its warnings over.
+     */
+    setBudgets(budgets) {
+        ['daily', 'monthly'].forEach(period => {
+            if (!(period in budgets)) return;
+
+            const budget = budgets[period] > 0 ? budgets[period] : null;
+            if (budget !== this.budgets[period]) {
+                this.budgets[period] = budget;
+                delete this.alerts[period];
+            }
+        });
+
+        this.saveBudgets();
+        this.saveAlerts();
+        this.announce();
+        this.checkBudgets();
+    }
+
+    /**
+     * Spend so far against each configured budget: { daily, monthly }, null when unset
+     */
+    getBudgetStatus() {
+        const status = {};
+
+        Object.entries(this.getPeriods()).forEach(([period, { budget, from }]) => {
+            if (!budget) {
+                status[period] = null;
+                return;
+            }
+            const spent = this.getTotals({ from }).cost;
+            status[period] = { budget, spent, fraction: spent / budget };
+        });
+
+        return status;
+    }
+
+    /**
+     * Warn once per threshold per budget period (e.g. at 80% and 100% of today's budget)
+     */
+    checkBudgets() {
+        const status = this.getBudgetStatus();
+        const periods = this.getPeriods();
+        let changed = false;
+
+        Object.entries(status).forEach(([period, budgetStatus]) => {
+            if (!budgetStatus) return;
+
+            const key = periods[period].key;
+            if (this.alerts[period]?.key !== key) {
+                this.alerts[period] = { key, warned: [] };
+            }
+
+            const alert = this.alerts[period];
+            // Sums of fractional costs drift, so allow a rounding error at the threshold
+            const crossed = this.budgets.warnAt
+                .filter(threshold => budgetStatus.fraction >= threshold - 1e-9 && !alert.warned.includes(threshold));
+            if (crossed.length === 0) return;
+
+            // Report only the highest threshold when several are crossed at once
+            alert.warned.push(...crossed);
+            changed = true;
+            this.notifyBudget(period, budgetStatus, Math.max(...crossed));
+        });
+
+        if (changed) {
+            this.saveAlerts();
+        }
+    }
+
+    notifyBudget(period, { budget, spent }, threshold) {
+        const label = period === 'daily' ? "Today's" : "This month's";
+        const message = threshold >= 1
+            ? `${label} budget of ${this.formatCost(budget)} is used up (${this.formatCost(spent)} spent).`
+            : `${label} spending has reached ${Math.round(threshold * 100)}% of the ${this.formatCost(budget)} budget (${this.formatCost(spent)} spent).`;
+
+        window.NotificationManager?.show({
+            type: threshold >= 1 ? 'error' : 'warning',
+            title: 'Token Budget',
+            message,
+            duration: 10000
+        });
+
+        document.dispatchEvent(new CustomEvent('costs:budget-warning', {
+            detail: { period, budget, spent, threshold }
+        }));
+    }
+
+    formatCost(amount) {
+        // Single queries often cost fractions of a cent
+        const digits = amount > 0 && amount < 0.01 ? 4 : 2;
+        return new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: this.currency,
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        }).format(amount);
+    }
+
+    formatTokens(count) {
+        if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+        if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+        return String(count);
+    }
+
+    /**
+     * Keep only what the query log holds that the ledger needs
+     */
+    toLedgerEntry(logEntry) {
+        const timestamp = new Date(logEntry.timestamp);
+        return {
+            queryId: logEntry.queryId,
+            timestamp: timestamp.toISOString(),
+            day: this.getDayKey(timestamp),
+            widgetId: logEntry.widgetId || null,
+            success: logEntry.success,
+            duration: logEntry.duration || 0,
+            cached: Boolean(logEntry.cached),
+            calls: logEntry.calls || [],
+            usage: logEntry.usage || {},
+            cost: logEntry.cost || 0
+        };
+    }
+
+    /**
+     * `estimated` is set once any counted usage was estimated rather than reported
+     */
+    createTotals() {
+        return { queries: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimated: false };
+    }
+
+    createAgentTotals() {
+        return { ...this.createTotals(), calls: 0, successfulCalls: 0, totalCallTime: 0 };
+    }
+
+    addTo(totals, tokens, cost) {
+        totals.queries++;
+        totals.promptTokens += tokens.promptTokens || 0;
+        totals.completionTokens += tokens.completionTokens || 0;
+        totals.cost += cost || 0;
+        totals.estimated = totals.estimated || Boolean(tokens.estimated);
+    }
+
+    sumTokens(usage) {
+        return Object.values(usage).reduce((sum, tokens) => ({
+            promptTokens: sum.promptTokens + (tokens.promptTokens || 0),
+            completionTokens: sum.completionTokens + (tokens.completionTokens || 0),
+            estimated: sum.estimated || Boolean(tokens.estimated)
+        }), { promptTokens: 0, completionTokens: 0, estimated: false });
+    }
+
+    getPeriods() {
+        const now = new Date();
+        return {
+            daily: {
+                budget: this.budgets.daily,
+                from: this.startOfDay(),
+                key: this.getDayKey(now)
+            },
+            monthly: {
+                budget: this.budgets.monthly,
+                from: new Date(now.getFullYear(), now.getMonth(), 1),
+                key: this.getDayKey(now).slice(0, 7)
+            }
+        };
+    }
+
+    /**
+     * Keep the retention window, and always the whole month for the monthly budget
+     */
+    getRetentionStart() {
+        const now = new Date();
+        const rolling = new Date(now.getFullYear(), now.getMonth(), now.getDate() - this.retentionDays);
+        const month = new Date(now.getFullYear(), now.getMonth(), 1);
+        return rolling < month ? rolling : month;
+    }
+
+    prune() {
+        const cutoff = this.getRetentionStart().toISOString();
+        const index = this.entries.findIndex(entry => entry.timestamp >= cutoff);
+        if (index > 0) {
+            this.entries.splice(0, index);
+        }
+    }
+
+    startOfDay() {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+
+    /**
+     * Local calendar day, e.g. "2024-03-15"
+     */
+    getDayKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    announce() {
+        document.dispatchEvent(new CustomEvent('costs:updated', {
+            detail: { today: this.getToday(), budgets: this.getBudgetStatus() }
+        }));
+    }
+
+    loadAlerts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.alertsKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    loadBudgets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.budgetsKey) || '{}');
+            const budgets = {};
+            ['daily', 'monthly'].forEach(period => {
+                if (period in saved) budgets[period] = saved[period] > 0 ? saved[period] : null;
+            });
+            return budgets;
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveBudgets() {
+        try {
+            localStorage.setItem(this.budgetsKey, JSON.stringify({
+                daily: this.budgets.daily,
+                monthly: this.budgets.monthly
+            }));
+        } catch (error) {
+            console.warn('Failed to save budgets:', error);
+        }
+    }
+
+    saveAlerts() {
+        try {
+            localStorage.setItem(this.alertsKey, JSON.stringify(this.alerts));
+        } catch (error) {
+            console.warn('Failed to save budget alerts:', error);
+        }
+    }
+}
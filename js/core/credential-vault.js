@@ -0,0 +1,222 @@
+/**
+ * Credential Vault
+ * Keeps agent secrets encrypted at rest with a key derived from the user's
+ * passphrase (PBKDF2 + AES-GCM via WebCrypto). Decrypted secrets only live in
+ * memory while the vault is unlocked.
+ */
+
+class CredentialVaultError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CredentialVaultError';
+    }
+}
+
+class CredentialVault {
+    constructor(storageKey = 'aicanvas_vault', options = {}) {
+        this.storageKey = storageKey;
+        this.iterations = options.iterations || 310000;
+        this.key = null;            // Non-extractable AES-GCM CryptoKey while unlocked
+        this.salt = null;
+        this.credentials = null;    // agentId -> secrets, only while unlocked
+    }
+
+    /**
+     * Has a vault been created in this browser?
+     */
+    exists() {
+        return localStorage.getItem(this.storageKey) !== null;
+    }
+
+    isUnlocked() {
+        return this.credentials !== null;
+    }
+
+    /**
+     * Unlock the vault, creating it on first use
+     */
+    async unlock(passphrase) {
+        if (!passphrase) {
+            throw new CredentialVaultError('A passphrase is required');
+        }
+
+        const stored = this.readStored();
+
+        if (!stored) {
+            this.salt = crypto.getRandomValues(new Uint8Array(16));
+            this.key = await this.deriveKey(passphrase, this.salt, this.iterations);
+            this.credentials = {};
+            await this.save();
+            this.announce('unlocked');
+            return;
+        }
+
+        const salt = this.fromBase64(stored.salt);
+        const key = await this.deriveKey(passphrase, salt, stored.iterations);
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(stored.iv) },
+                key,
+                this.fromBase64(stored.data)
+            );
+        } catch (error) {
+            // AES-GCM authentication fails for a wrong passphrase and for tampered data alike
+            throw new CredentialVaultError('Wrong passphrase, or the vault has been altered');
+        }
+
+        this.salt = salt;
+        this.key = key;
+        this.iterations = stored.iterations;
+        this.credentials = JSON.parse(new TextDecoder().decode(plaintext));
+        this.announce('unlocked');
+    }
+
+    /**
+     * Forget the key and every decrypted secret
+     */
+    lock() {
+        this.key = null;
+        this.salt = null;
+        this.credentials = null;
+        this.announce('locked');
+    }
+
+    /**
+     * Get the secrets stored for an agent, or null
+     */
+    getCredentials(agentId) {
+        this.assertUnlocked();
+        const credentials = this.credentials[agentId];
+        return credentials ? { ...credentials } : null;
+    }
+
+    hasCredentials(agentId) {
+        return this.isUnlocked() && Boolean(this.credentials[agentId]);
+    }
+
+    /**
+     * Store secrets for an agent, replacing any it had
+     */
+    async setCredentials(agentId, credentials) {
+        this.assertUnlocked();
+        this.credentials[agentId] = { ...credentials };
+        await this.save();
+        this.announce('updated', agentId);
+    }
+
+    async removeCredentials(agentId) {
+        this.assertUnlocked();
+        delete this.credentials[agentId];
+        await this.save();
+        this.announce('updated', agentId);
+    }
+
+    /**
+     * Re-encrypt everything under a new passphrase
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        if (!newPassphrase) {
+            throw new CredentialVaultError('A new passphrase is required');
+        }
+
+        await this.unlock(currentPassphrase);
+        this.salt = crypto.getRandomValues(new Uint8Array(16));
+        this.key = await this.deriveKey(newPassphrase, this.salt, this.iterations);
+        await this.save();
+    }
+
+    /**
+     * Delete the vault and everything in it (e.g. after a forgotten passphrase)
+     */
+    destroy() {
+        localStorage.removeItem(this.storageKey);
+        this.lock();
+    }
+
+    /**
+     * Counts only, safe for logs and debug output
+     */
+    getSummary() {
+        return {
+            exists: this.exists(),
+            unlocked: this.isUnlocked(),
+            agentCount: this.isUnlocked() ? Object.keys(this.credentials).length : null
+        };
+    }
+
+    // Keep secrets out of anything that serialises the vault
+    toJSON() {
+        return this.getSummary();
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt the credentials with a fresh IV and write them out
+     */
+    async save() {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.key,
+            new TextEncoder().encode(JSON.stringify(this.credentials))
+        );
+
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            version: 1,
+            iterations: this.iterations,
+            salt: this.toBase64(this.salt),
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(data))
+        }));
+    }
+
+    readStored() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            throw new CredentialVaultError('The stored vault is unreadable');
+        }
+    }
+
+    assertUnlocked() {
+        if (!this.isUnlocked()) {
+            throw new CredentialVaultError('The credential vault is locked');
+        }
+    }
+
+    announce(state, agentId = null) {
+        document.dispatchEvent(new CustomEvent('vault:changed', {
+            detail: { state, agentId }
+        }));
+    }
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Create global instance
+window.CredentialVault = new CredentialVault();
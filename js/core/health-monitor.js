@@ -0,0 +1,313 @@
+/**
+ * Agent Health Monitor
+ * Polls agent /health endpoints with real timeouts and per-agent adaptive
+ * intervals, keeping a rolling status timeline for each agent
+ */
+
+class AgentHealthMonitor {
+    constructor(agents, options = {}) {
+        this.agents = agents; // Shared with AICanvas, so registry reloads show up here
+        this.config = {
+            interval: 30000,        // Between checks of a healthy agent
+            hiddenMultiplier: 4,    // Slow down while the tab is hidden
+            failureInterval: 5000,  // First re-check after a failure, doubling up to `interval`
+            timeout: 5000,
+            historySize: 120,
+            initialDelay: 1000,
+            ...options
+        };
+
+        this.timers = new Map();        // agentId -> timeout handle
+        this.inFlight = new Map();      // agentId -> { agent, promise, controller }
+        this.failures = new Map();      // agentId -> consecutive failed checks
+        this.timelines = new Map();     // agentId -> [{ timestamp, status, latency, version, degraded, error }]
+        this.hidden = typeof document !== 'undefined' && document.hidden;
+        this.running = false;
+    }
+
+    /**
+     * Start checking every agent
+     */
+    start() {
+        this.running = true;
+        this.agents.forEach((agent, agentId) => this.schedule(agentId, this.config.initialDelay));
+    }
+
+    /**
+     * Stop all checks, aborting any in flight
+     */
+    stop() {
+        this.running = false;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.inFlight.forEach(({ controller }) => controller.abort());
+    }
+
+    /**
+     * Tab visibility changed: stretch or restore every agent's interval.
+     * Coming back checks everyone soon, since a lot may have changed.
+     */
+    setHidden(hidden) {
+        if (this.hidden === hidden) return;
+        this.hidden = hidden;
+
+        if (!this.running) return;
+        this.agents.forEach((agent, agentId) => {
+            this.schedule(agentId, hidden ? this.getInterval(agentId) : this.config.initialDelay);
+        });
+    }
+
+    /**
+     * Stop tracking an agent that left the registry
+     */
+    forget(agentId) {
+        clearTimeout(this.timers.get(agentId));
+        this.timers.delete(agentId);
+        this.inFlight.get(agentId)?.controller.abort();
+        this.failures.delete(agentId);
+        this.timelines.delete(agentId);
+    }
+
+    /**
+     * Check an agent right away (and restart its schedule from now)
+     */
+    async checkNow(agentId) {
+        const agent = this.agents.get(agentId);
+        if (!agent) return null;
+
+        // Overlapping checks of the same agent share one request, unless the
+        // registry swapped the agent config out from under it
+        const pending = this.inFlight.get(agentId);
+        if (pending && pending.agent === agent) {
+            return pending.promise;
+        }
+        pending?.controller.abort();
+
+        clearTimeout(this.timers.get(agentId));
+        this.timers.delete(agentId);
+
+        const controller = new AbortController();
+        const promise = this.probe(agent, controller.signal)
+            .then(result => {
+                // Removed or replaced by a registry reload while the check was running
+                if (this.agents.get(agentId) !== agent) return result;
+                this.record(agent, result);
+                return result;
+            })
+            .finally(() => {
+                if (this.inFlight.get(agentId)?.promise !== promise) return;
+                this.inFlight.delete(agentId);
+                if (this.running && this.agents.has(agentId)) {
+                    this.schedule(agentId, this.getInterval(agentId));
+                }
+            });
+
+        this.inFlight.set(agentId, { agent, promise, controller });
+        return promise;
+    }
+
+    /**
+     * Check an agent after `delay` ms, replacing its pending check
+     */
+    schedule(agentId, delay) {
+        clearTimeout(this.timers.get(agentId));
+        this.timers.set(agentId, setTimeout(() => {
+            this.timers.delete(agentId);
+            this.checkNow(agentId);
+        }, delay));
+    }
+
+    /**
+     * Time until an agent's next check: sooner while it's failing, later while hidden
+     */
+    getInterval(agentId) {
+        const failures = this.failures.get(agentId) || 0;
+        const interval = failures > 0 ?
+            Math.min(this.config.interval, this.config.failureInterval * 2 ** (failures - 1)) :
+            this.config.interval;
+
+        return this.hidden ? interval * this.config.hiddenMultiplier : interval;
+    }
+
+    /**
+     * Call the agent's health endpoint.
+     * Resolves to { status, latency, version, degraded, error }; never rejects.
+     */
+    async probe(agent, signal) {
+        // In-process simulated agents are always reachable
+        if (AgentTransports.resolveTransportName(agent) === 'simulated') {
+            return { status: 'online', latency: 0, version: agent.version || null, degraded: false, error: null };
+        }
+
+        if (!agent.endpoint) {
+            return { status: 'offline', latency: null, version: null, degraded: false, error: 'No endpoint configured' };
+        }
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        const timer = setTimeout(() => {
+            controller.abort(new Error(`Timed out after ${this.config.timeout / 1000}s`));
+        }, this.config.timeout);
+
+        const startTime = performance.now();
+
+        try {
+            const url = `${agent.endpoint}/health`;
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: { Accept: 'application/json', ...(await this.getAuthHeaders(agent, url)) },
+                cache: 'no-store',
+                signal: controller.signal
+            });
+            const latency = performance.now() - startTime;
+            const payload = await this.readPayload(response);
+
+            if (!response.ok) {
+                return {
+                    status: this.getFailureStatus(response.status, payload),
+                    latency,
+                    version: payload.version || null,
+                    degraded: false,
+                    error: payload.message || `HTTP ${response.status}`
+                };
+            }
+
+            const status = this.getReportedStatus(payload);
+            return {
+                status,
+                latency,
+                version: payload.version || agent.version || null,
+                degraded: status === 'degraded',
+                error: status === 'online' ? null : (payload.message || null)
+            };
+
+        } catch (error) {
+            const reason = controller.signal.aborted ? controller.signal.reason : error;
+            return {
+                status: 'offline',
+                latency: null,
+                version: null,
+                degraded: false,
+                error: reason?.message || String(reason)
+            };
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Send credentials when we have them; many health endpoints don't need any,
+     * so a locked vault shouldn't by itself make an agent look down
+     */
+    async getAuthHeaders(agent, url) {
+        try {
+            return await AgentAuth.getHeaders(agent, { method: 'GET', url });
+        } catch (error) {
+            if (error.type === AgentRequestError.TYPES.UNAUTHORIZED) return {};
+            throw error;
+        }
+    }
+
+    /**
+     * Status of an agent that answered its health check. The body may report
+     * any AgentStatus (or "ok"/"healthy"), or just set `degraded: true`.
+     */
+    getReportedStatus(payload) {
+        const reported = AgentStatus.normalize(payload.status);
+        if (reported !== 'unknown') {
+            return reported === 'online' && payload.degraded === true ? 'degraded' : reported;
+        }
+        return payload.degraded === true ? 'degraded' : 'online';
+    }
+
+    /**
+     * Status of an agent whose health check came back with an HTTP error
+     */
+    getFailureStatus(httpStatus, payload) {
+        if (httpStatus === 429) return 'rate-limited';
+        if (httpStatus === 503 && AgentStatus.normalize(payload.status) === 'maintenance') return 'maintenance';
+        return 'error';
+    }
+
+    /**
+     * Read an optional JSON health body like { status, version, degraded, message }
+     */
+    async readPayload(response) {
+        try {
+            const body = await response.json();
+            return body && typeof body === 'object' ? body : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Apply a check result to the agent, its timeline and listeners
+     */
+    record(agent, result) {
+        const previousStatus = agent.status;
+        const healthy = AgentStatus.isRoutable(result.status);
+
+        this.failures.set(agent.id, healthy ? 0 : (this.failures.get(agent.id) || 0) + 1);
+
+        const timeline = this.timelines.get(agent.id) || [];
+        timeline.push({ timestamp: new Date().toISOString(), ...result });
+        if (timeline.length > this.config.historySize) {
+            timeline.splice(0, timeline.length - this.config.historySize);
+        }
+        this.timelines.set(agent.id, timeline);
+
+        agent.status = result.status;
+        agent.lastHealthCheck = new Date();
+        agent.health = {
+            latency: result.latency,
+            version: result.version,
+            degraded: result.degraded,
+            error: result.error
+        };
+
+        // Uptime is derived from these counts
+        window.AgentMetrics?.increment('agent_health_checks_total', {
+            agentId: agent.id,
+            outcome: healthy ? 'healthy' : 'unhealthy'
+        });
+        if (result.latency !== null) {
+            window.AgentMetrics?.set('agent_health_latency_ms', result.latency, { agentId: agent.id });
+        }
+
+        document.dispatchEvent(new CustomEvent('agent:health-checked', {
+            detail: { agentId: agent.id, previousStatus, ...result }
+        }));
+
+        if (agent.status !== previousStatus) {
+            document.dispatchEvent(new CustomEvent('agent:status-changed', {
+                detail: {
+                    agentId: agent.id,
+                    status: agent.status,
+                    previousStatus,
+                    health: agent.health
+                }
+            }));
+        }
+    }
+
+    /**
+     * Get an agent's status timeline, oldest first
+     */
+    getTimeline(agentId) {
+        return [...(this.timelines.get(agentId) || [])];
+    }
+
+    /**
+     * Get when an agent will next be checked
+     */
+    getSchedule(agentId) {
+        return {
+            interval: this.getInterval(agentId),
+            consecutiveFailures: this.failures.get(agentId) || 0,
+            checking: this.inFlight.has(agentId)
+        };
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * IndexedDB Store
+ * Promise wrapper around a single-object-store IndexedDB database.
+ * Subclasses create their store and indices in upgrade().
+ */
+
+class IndexedDBStore {
+    constructor(dbName, storeName, version = 1) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.version = version;
+        this.db = null;
+        this.opening = null;
+    }
+
+    /**
+     * Open the database, creating the store on first use.
+     * Resolves to false when IndexedDB isn't available (private mode, old browsers).
+     */
+    open() {
+        if (this.db) return Promise.resolve(true);
+        if (this.opening) return this.opening;
+
+        if (typeof indexedDB === 'undefined') {
+            console.warn(`IndexedDB unavailable; ${this.dbName} will not persist`);
+            return Promise.resolve(false);
+        }
+
+        this.opening = new Promise(resolve => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = (event) => {
+                this.upgrade(request.result, event.oldVersion);
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgrading the schema needs us to let go
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                console.warn(`Failed to open ${this.dbName} database:`, request.error);
+                resolve(false);
+            };
+        }).finally(() => {
+            this.opening = null;
+        });
+
+        return this.opening;
+    }
+
+    /**
+     * Create the object store and indices
+     */
+    upgrade(db, oldVersion) {
+        throw new Error('upgrade() must be implemented by subclass');
+    }
+
+    /**
+     * Run a request and resolve with its result
+     */
+    async read(operation) {
+        if (!(await this.open())) return null;
+
+        return new Promise((resolve, reject) => {
+            const request = operation(this.db.transaction(this.storeName, 'readonly').objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run operations in one transaction and resolve when it completes
+     */
+    async transact(operation, mode = 'readwrite') {
+        if (!(await this.open())) return false;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete every record
+     */
+    async clear() {
+        return this.transact(store => store.clear());
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * Intent Classifier
+ * Deterministic BM25 ranking of agents against their registry example utterances
+ */
+
+class IntentClassifier {
+    constructor(options = {}) {
+        this.config = {
+            k1: 1.2,                // BM25 term-frequency saturation
+            b: 0.75,                // BM25 document-length normalisation
+            minScore: 1.0,          // absolute score an agent needs to be recommended
+            relativeThreshold: 0.5, // ...and at least this share of the top score
+            maxAgents: 3,
+            ...options
+        };
+
+        this.documents = new Map(); // agentId -> { termFrequencies, length }
+        this.documentFrequencies = new Map();
+        this.averageLength = 0;
+    }
+
+    /**
+     * Build the index from registry agents
+     */
+    train(agents) {
+        this.documents.clear();
+        this.documentFrequencies.clear();
+
+        agents.forEach(agent => {
+            const routing = agent.routing || {};
+            const text = [
+                ...(routing.examples || []),
+                ...(routing.keywords || []),
+                ...(routing.categories || []),
+                ...(agent.capabilities || [])
+            ].join(' ');
+
+            const terms = this.analyze(text);
+            const termFrequencies = new Map();
+            terms.forEach(term => {
+                termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1);
+            });
+
+            this.documents.set(agent.id, { termFrequencies, length: terms.length });
+
+            termFrequencies.forEach((count, term) => {
+                this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+            });
+        });
+
+        const totalLength = Array.from(this.documents.values()).reduce((sum, doc) => sum + doc.length, 0);
+        this.averageLength = this.documents.size > 0 ? totalLength / this.documents.size : 0;
+    }
+
+    /**
+     * Rank agents for a message.
+     * Returns [{ agentId, score, confidence, matchedTerms, explanation }], best first;
+     * agents below the thresholds are left out. `options.weights` (LearnedRoutingWeights)
+     * scales each term's score per agent.
+     */
+    classify(message, options = {}) {
+        const exclude = options.exclude || [];
+        const weights = options.weights || null;
+        const surfaceForms = this.surfaceForms(message);
+        const queryTerms = Array.from(surfaceForms.keys());
+        const ranked = [];
+
+        this.documents.forEach((doc, agentId) => {
+            if (exclude.includes(agentId)) return;
+
+            const matchedTerms = [];
+            let score = 0;
+
+            queryTerms.forEach(term => {
+                const learned = weights ? weights.get(term, agentId) : 1;
+                const weight = this.termScore(term, doc) * learned;
+                if (weight > 0) {
+                    score += weight;
+                    matchedTerms.push({
+                        term,
+                        word: surfaceForms.get(term),
+                        weight: this.round(weight),
+                        ...(learned !== 1 && { learned: this.round(learned) })
+                    });
+                }
+            });
+
+            if (score > 0) {
+                matchedTerms.sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term));
+                ranked.push({ agentId, score: this.round(score), matchedTerms });
+            }
+        });
+
+        // Ties break on agent id so results never depend on registry order
+        ranked.sort((a, b) => b.score - a.score || a.agentId.localeCompare(b.agentId));
+
+        const topScore = ranked[0]?.score || 0;
+        const totalScore = ranked.reduce((sum, result) => sum + result.score, 0);
+
+        return ranked
+            .filter(result =>
+                result.score >= this.config.minScore &&
+                result.score >= topScore * this.config.relativeThreshold
+            )
+            .slice(0, options.maxAgents || this.config.maxAgents)
+            .map(result => ({
+                ...result,
+                confidence: this.round(result.score / totalScore),
+                explanation: this.explain(result)
+            }));
+    }
+
+    /**
+     * BM25 contribution of one query term to one agent document
+     */
+    termScore(term, doc) {
+        const frequency = doc.termFrequencies.get(term) || 0;
+        if (frequency === 0) return 0;
+
+        const documentCount = this.documents.size;
+        const containing = this.documentFrequencies.get(term) || 0;
+        const idf = Math.log(1 + (documentCount - containing + 0.5) / (containing + 0.5));
+
+        const { k1, b } = this.config;
+        const lengthNorm = 1 - b + b * (doc.length / (this.averageLength || 1));
+
+        return idf * (frequency * (k1 + 1)) / (frequency + k1 * lengthNorm);
+    }
+
+    /**
+     * Describe why an agent was picked
+     */
+    explain(result) {
+        const terms = result.matchedTerms
+            .slice(0, 4)
+            .map(({ word, weight, learned }) =>
+                learned ? `"${word}" (${weight}, learned ×${learned})` : `"${word}" (${weight})`
+            )
+            .join(', ');
+        return `Matched ${terms}; score ${result.score}`;
+    }
+
+    /**
+     * Tokenise, drop stopwords and stem
+     */
+    analyze(text) {
+        return this.tokenize(text)
+            .filter(token => !IntentClassifier.STOPWORDS.has(token))
+            .map(token => this.stem(token))
+            .filter(token => token.length > 1);
+    }
+
+    /**
+     * Map each stemmed query term to the word the user actually typed
+     */
+    surfaceForms(text) {
+        const forms = new Map();
+        this.tokenize(text)
+            .filter(token => !IntentClassifier.STOPWORDS.has(token))
+            .forEach(token => {
+                const term = this.stem(token);
+                if (term.length > 1 && !forms.has(term)) {
+                    forms.set(term, token);
+                }
+            });
+        return forms;
+    }
+
+    tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Light suffix-stripping stemmer (a subset of Porter's rules)
+     */
+    stem(word) {
+        if (word.length <= 3 || /^\d/.test(word)) return word;
+
+        let stem = word;
+
+        if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+        else if (stem.endsWith('ies')) stem = `${stem.slice(0, -3)}y`;
+        else if (stem.endsWith('s') && !stem.endsWith('ss') && !stem.endsWith('us')) stem = stem.slice(0, -1);
+
+        const suffixes = [
+            ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'],
+            ['ation', 'ate'], ['ement', ''], ['ment', ''], ['ness', ''], ['ance', ''],
+            ['ence', ''], ['able', ''], ['ible', ''], ['ing', ''], ['ed', ''], ['ly', '']
+        ];
+
+        for (const [suffix, replacement] of suffixes) {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+                stem = stem.slice(0, -suffix.length) + replacement;
+                break;
+            }
+        }
+
+        // "procedure"/"procedures" and "policy"/"policies" should meet
+        if (stem.endsWith('e') && stem.length > 4) return stem.slice(0, -1);
+        if (stem.endsWith('y')) return `${stem.slice(0, -1)}i`;
+        return stem;
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+IntentClassifier.STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do', 'does', 'for',
+    'from', 'get', 'has', 'have', 'help', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of',
+    'on', 'or', 'our', 'please', 'should', 'that', 'the', 'this', 'to', 'was', 'we', 'what',
+    'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Per-term, per-agent score multipliers learned from answer feedback,
+ * persisted in localStorage
+ */
+class LearnedRoutingWeights {
+    constructor(storageKey = 'aicanvas_routing_weights', options = {}) {
+        this.storageKey = storageKey;
+        this.minWeight = options.minWeight || 0.25;
+        this.maxWeight = options.maxWeight || 3;
+        this.weights = new Map(); // term -> Map(agentId -> multiplier)
+        this.feedbackCount = 0;
+        this.updated = null;
+    }
+
+    /**
+     * Get the multiplier for a term/agent pair (1 when nothing was learned)
+     */
+    get(term, agentId) {
+        return this.weights.get(term)?.get(agentId) ?? 1;
+    }
+
+    /**
+     * Scale the weights of every term for an agent, e.g. 1.2 after a thumbs-up
+     */
+    adjust(terms, agentId, factor) {
+        new Set(terms).forEach(term => {
+            if (!this.weights.has(term)) {
+                this.weights.set(term, new Map());
+            }
+            const agentWeights = this.weights.get(term);
+            const weight = Math.min(this.maxWeight, Math.max(this.minWeight, this.get(term, agentId) * factor));
+
+            // Weights that drift back to neutral are forgotten
+            if (Math.abs(weight - 1) < 0.01) {
+                agentWeights.delete(agentId);
+                if (agentWeights.size === 0) this.weights.delete(term);
+            } else {
+                agentWeights.set(agentId, Math.round(weight * 1000) / 1000);
+            }
+        });
+    }
+
+    /**
+     * Record that one piece of feedback was applied, and persist
+     */
+    commit() {
+        this.feedbackCount++;
+        this.updated = new Date().toISOString();
+        this.save();
+    }
+
+    /**
+     * Forget everything learned
+     */
+    reset() {
+        this.weights.clear();
+        this.feedbackCount = 0;
+        this.updated = null;
+        localStorage.removeItem(this.storageKey);
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) this.fromJSON(saved);
+        } catch (error) {
+            console.warn('Ignoring unreadable learned routing weights:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.warn('Failed to save learned routing weights:', error);
+        }
+    }
+
+    fromJSON(data) {
+        this.weights = new Map(Object.entries(data.weights || {}).map(([term, agents]) =>
+            [term, new Map(Object.entries(agents))]
+        ));
+        this.feedbackCount = data.feedbackCount || 0;
+        this.updated = data.updated || null;
+    }
+
+    toJSON() {
+        const weights = {};
+        Array.from(this.weights.keys()).sort().forEach(term => {
+            weights[term] = Object.fromEntries(this.weights.get(term));
+        });
+
+        return {
+            version: 1,
+            updated: this.updated,
+            feedbackCount: this.feedbackCount,
+            weights
+        };
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * Latency Statistics
+ * Streaming response-time percentiles and histograms per agent, so tail
+ * latency isn't hidden behind an average
+ */
+
+class QuantileSketch {
+    /**
+     * Log-bucketed sketch (as in DDSketch): every quantile it reports is within
+     * `relativeAccuracy` of a value that was actually added, in bounded memory
+     */
+    constructor({ relativeAccuracy = 0.01, maxBins = 2048 } = {}) {
+        this.relativeAccuracy = relativeAccuracy;
+        this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+        this.logGamma = Math.log(this.gamma);
+        this.maxBins = maxBins;
+        this.bins = new Map();  // bin index -> count
+        this.zeroCount = 0;     // Values too small to take a log of
+        this.count = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    add(value) {
+        if (!Number.isFinite(value) || value < 0) return;
+
+        if (value < 1e-9) {
+            this.zeroCount++;
+        } else {
+            const index = Math.ceil(Math.log(value) / this.logGamma);
+            this.bins.set(index, (this.bins.get(index) || 0) + 1);
+            if (this.bins.size > this.maxBins) {
+                this.collapseLowest();
+            }
+        }
+
+        this.count++;
+        this.sum += value;
+        this.min = Math.min(this.min, value);
+        this.max = Math.max(this.max, value);
+    }
+
+    /**
+     * Estimate the value at quantile q (0..1), or null when empty
+     */
+    quantile(q) {
+        if (this.count === 0) return null;
+        if (q <= 0) return this.min;
+        if (q >= 1) return this.max;
+
+        const rank = q * (this.count - 1);
+        let seen = this.zeroCount;
+        if (rank < seen) return 0;
+
+        const indices = Array.from(this.bins.keys()).sort((a, b) => a - b);
+        for (const index of indices) {
+            seen += this.bins.get(index);
+            if (rank < seen) {
+                // The bin's midpoint (in relative terms) keeps the error within relativeAccuracy
+                const estimate = (2 * Math.pow(this.gamma, index)) / (this.gamma + 1);
+                return Math.min(this.max, Math.max(this.min, estimate));
+            }
+        }
+        return this.max;
+    }
+
+    /**
+     * Fold the two lowest bins together; only the fastest quantiles lose accuracy
+     */
+    collapseLowest() {
+        const [lowest, next] = Array.from(this.bins.keys()).sort((a, b) => a - b);
+        this.bins.set(next, this.bins.get(next) + this.bins.get(lowest));
+        this.bins.delete(lowest);
+    }
+}
+
+class LatencyHistogram {
+    /**
+     * `bounds` are bucket upper limits in ms; one more bucket holds everything slower
+     */
+    constructor(bounds = LatencyHistogram.DEFAULT_BOUNDS) {
+        this.bounds = bounds;
+        this.counts = new Array(bounds.length + 1).fill(0);
+    }
+
+    add(value) {
+        const index = this.bounds.findIndex(bound => value <= bound);
+        this.counts[index === -1 ? this.bounds.length : index]++;
+    }
+
+    /**
+     * [{ min, max, count }], max null for the open-ended last bucket
+     */
+    getBuckets() {
+        return this.counts.map((count, index) => ({
+            min: index === 0 ? 0 : this.bounds[index - 1],
+            max: index < this.bounds.length ? this.bounds[index] : null,
+            count
+        }));
+    }
+}
+
+LatencyHistogram.DEFAULT_BOUNDS = [100, 250, 500, 1000, 2000, 5000, 10000, 30000];
+
+class LatencyDistribution {
+    constructor(options = {}) {
+        this.sketch = new QuantileSketch(options);
+        this.histogram = new LatencyHistogram(options.bounds);
+    }
+
+    add(responseTime) {
+        this.sketch.add(responseTime);
+        this.histogram.add(responseTime);
+    }
+
+    /**
+     * { count, min, mean, p50, p90, p99, max, histogram }; figures are null until a response arrives
+     */
+    getSummary() {
+        const { count } = this.sketch;
+        return {
+            count,
+            min: count > 0 ? this.sketch.min : null,
+            mean: count > 0 ? this.sketch.sum / count : null,
+            p50: this.sketch.quantile(0.5),
+            p90: this.sketch.quantile(0.9),
+            p99: this.sketch.quantile(0.99),
+            max: count > 0 ? this.sketch.max : null,
+            histogram: this.histogram.getBuckets()
+        };
+    }
+
+    /**
+     * Describe a histogram bucket, e.g. "250-500ms" or ">30s"
+     */
+    static formatBucket({ min, max }) {
+        const format = ms => ms >= 1000 ? `${ms / 1000}s` : `${ms}ms`;
+        if (max === null) return `>${format(min)}`;
+        if (min === 0) return `<=${format(max)}`;
+        return `${format(min)}-${format(max)}`;
+    }
+}
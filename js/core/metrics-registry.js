@@ -0,0 +1,130 @@
+/**
+ * Metrics Registry
+ * Counters, gauges and histograms keyed by name and labels. Each measurement
+ * is recorded once, where it happens; views listen for metrics:updated
+ * instead of keeping their own copies.
+ */
+
+class MetricsRegistry {
+    constructor() {
+        this.series = new Map();  // "name{label=value,...}" -> { name, type, labels, value }
+        this.pending = null;      // Series changed since the last metrics:updated
+    }
+
+    /**
+     * Add to a counter
+     */
+    increment(name, labels = {}, by = 1) {
+        const series = this.getSeries(name, 'counter', labels, () => 0);
+        series.value += by;
+        this.changed(series);
+    }
+
+    /**
+     * Set a gauge to its current value
+     */
+    set(name, value, labels = {}) {
+        const series = this.getSeries(name, 'gauge', labels, () => null);
+        series.value = value;
+        this.changed(series);
+    }
+
+    /**
+     * Add a value to a histogram, which keeps percentiles and latency buckets
+     */
+    observe(name, value, labels = {}) {
+        const series = this.getSeries(name, 'histogram', labels, () => new LatencyDistribution());
+        series.value.add(value);
+        this.changed(series);
+    }
+
+    getCounter(name, labels = {}) {
+        return this.series.get(this.getKey(name, labels))?.value ?? 0;
+    }
+
+    /**
+     * A gauge's value, or null if it was never set
+     */
+    getGauge(name, labels = {}) {
+        return this.series.get(this.getKey(name, labels))?.value ?? null;
+    }
+
+    /**
+     * A histogram's LatencyDistribution, or null before its first value
+     */
+    getHistogram(name, labels = {}) {
+        return this.series.get(this.getKey(name, labels))?.value || null;
+    }
+
+    /**
+     * Drop every series carrying these labels, e.g. { agentId } of a removed agent
+     */
+    forget(labels) {
+        this.series.forEach((series, key) => {
+            if (this.matches(series, labels)) {
+                this.series.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Every series with plain values; histograms are summarized
+     */
+    snapshot() {
+        return Array.from(this.series.values(), ({ name, type, labels, value }) => ({
+            name,
+            type,
+            labels: { ...labels },
+            value: type === 'histogram' ? value.getSummary() : value
+        }));
+    }
+
+    getSeries(name, type, labels, createValue) {
+        const key = this.getKey(name, labels);
+        let series = this.series.get(key);
+
+        if (!series) {
+            series = { name, type, labels: { ...labels }, value: createValue() };
+            this.series.set(key, series);
+        } else if (series.type !== type) {
+            throw new Error(`Metric ${name} is a ${series.type}, not a ${type}`);
+        }
+
+        return series;
+    }
+
+    getKey(name, labels) {
+        const pairs = Object.keys(labels).sort().map(label => `${label}=${labels[label]}`);
+        return `${name}{${pairs.join(',')}}`;
+    }
+
+    matches(series, labels) {
+        return Object.entries(labels).every(([label, value]) => series.labels[label] === value);
+    }
+
+    /**
+     * Announce changes once the current task is done, so a query that
+     * updates several series only re-renders listeners once
+     */
+    changed(series) {
+        if (!this.pending) {
+            this.pending = new Set();
+            queueMicrotask(() => this.flush());
+        }
+        this.pending.add(series);
+    }
+
+    flush() {
+        const changes = Array.from(this.pending, ({ name, type, labels }) => ({ name, type, labels: { ...labels } }));
+        this.pending = null;
+
+        const agentIds = Array.from(new Set(changes.map(change => change.labels.agentId).filter(Boolean)));
+
+        document.dispatchEvent(new CustomEvent('metrics:updated', {
+            detail: { changes, agentIds }
+        }));
+    }
+}
+
+// Create global instance
+window.AgentMetrics = new MetricsRegistry();
@@ -0,0 +1,188 @@
+/**
+ * Query History Store
+ * Persists answered and failed queries in IndexedDB with a retention policy
+ */
+
+class QueryHistoryStore extends IndexedDBStore {
+    constructor(options = {}) {
+        super(options.dbName || 'aicanvas_history', 'queries');
+        this.retention = {
+            maxEntries: 5000,
+            maxAgeDays: 90,
+            ...options.retention
+        };
+    }
+
+    upgrade(db) {
+        const store = db.createObjectStore(this.storeName, { keyPath: 'queryId' });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('agent', 'agentIds', { multiEntry: true });
+        store.createIndex('widget', 'widgetId');
+        store.createIndex('success', 'success');
+    }
+
+    /**
+     * Save a query log entry (see AgentOrchestrator.logQuery)
+     */
+    async add(entry) {
+        return this.transact(store => store.put(this.toRecord(entry)));
+    }
+
+    /**
+     * Merge changes into a stored entry, e.g. feedback given after the answer
+     */
+    async update(queryId, changes) {
+        return this.transact(store => {
+            const request = store.get(queryId);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put(this.toRecord({ ...this.fromRecord(request.result), ...changes }));
+                }
+            };
+        });
+    }
+
+    /**
+     * Get one entry by query id
+     */
+    async get(queryId) {
+        const record = await this.read(store => store.get(queryId));
+        return record ? this.fromRecord(record) : null;
+    }
+
+    /**
+     * Find entries, newest first.
+     * Filters: { from, to (Date or ISO string), agentId, widgetId, success, text, limit, offset }
+     */
+    async query(filters = {}) {
+        if (!(await this.open())) return [];
+
+        const { from, to, agentId, widgetId, success, text } = filters;
+        const limit = filters.limit ?? 100;
+        const offset = filters.offset || 0;
+        const search = text ? text.trim().toLowerCase() : '';
+
+        // Let the most selective index do the first cut; the rest is filtered per record
+        let indexName = 'timestamp';
+        let range = this.timestampRange(from, to);
+        if (agentId) {
+            indexName = 'agent';
+            range = IDBKeyRange.only(agentId);
+        } else if (widgetId) {
+            indexName = 'widget';
+            range = IDBKeyRange.only(widgetId);
+        } else if (success !== undefined && success !== null) {
+            indexName = 'success';
+            range = IDBKeyRange.only(success ? 1 : 0);
+        }
+
+        const matches = entry =>
+            (!from || entry.timestamp >= new Date(from).toISOString()) &&
+            (!to || entry.timestamp <= new Date(to).toISOString()) &&
+            (!widgetId || entry.widgetId === widgetId) &&
+            (success === undefined || success === null || entry.success === Boolean(success)) &&
+            (!search || entry.message.toLowerCase().includes(search) ||
+                (entry.answerPreview || '').toLowerCase().includes(search));
+
+        const entries = await this.collect(indexName, range, matches);
+
+        // Non-timestamp indices come back in key order
+        entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        return entries.slice(offset, offset + limit);
+    }
+
+    /**
+     * Count stored entries
+     */
+    async count() {
+        if (!(await this.open())) return 0;
+        return this.read(store => store.count());
+    }
+
+    /**
+     * Drop entries older than maxAgeDays, then the oldest beyond maxEntries
+     */
+    async applyRetention() {
+        if (!(await this.open())) return 0;
+
+        const cutoff = new Date(Date.now() - this.retention.maxAgeDays * 86400000).toISOString();
+        let removed = 0;
+
+        await this.transact(store => {
+            const index = store.index('timestamp');
+
+            index.openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                cursor.delete();
+                removed++;
+                cursor.continue();
+            };
+        });
+
+        const excess = (await this.count()) - this.retention.maxEntries;
+        if (excess > 0) {
+            await this.transact(store => {
+                let remaining = excess;
+                store.index('timestamp').openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor || remaining <= 0) return;
+                    cursor.delete();
+                    removed++;
+                    remaining--;
+                    cursor.continue();
+                };
+            });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Walk an index newest-first, keeping entries that pass the filter
+     */
+    async collect(indexName, range, filter) {
+        const entries = [];
+
+        await this.transact(store => {
+            store.index(indexName).openCursor(range, 'prev').onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                const entry = this.fromRecord(cursor.value);
+                if (filter(entry)) {
+                    entries.push(entry);
+                }
+                cursor.continue();
+            };
+        }, 'readonly');
+
+        return entries;
+    }
+
+    timestampRange(from, to) {
+        const lower = from ? new Date(from).toISOString() : null;
+        const upper = to ? new Date(to).toISOString() : null;
+
+        if (lower && upper) return IDBKeyRange.bound(lower, upper);
+        if (lower) return IDBKeyRange.lowerBound(lower);
+        if (upper) return IDBKeyRange.upperBound(upper);
+        return null;
+    }
+
+    /**
+     * IndexedDB can't index booleans, and the agent index needs one flat list
+     */
+    toRecord(entry) {
+        return {
+            ...entry,
+            success: entry.success ? 1 : 0,
+            agentIds: Array.from(new Set([...(entry.agents || []), ...(entry.responseAgents || [])]))
+        };
+    }
+
+    fromRecord(record) {
+        const { agentIds, ...entry } = record;
+        return { ...entry, success: record.success === 1 };
+    }
+}
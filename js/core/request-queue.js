@@ -0,0 +1,133 @@
+/**
+ * Request Queue
+ * Priority queue with a concurrency cap, used for global and per-agent limits
+ */
+
+class ConcurrencyLimiter {
+    constructor(maxConcurrent = 1) {
+        this.maxConcurrent = maxConcurrent;
+        this.active = 0;
+        this.queue = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Wait for a free slot; resolves with a release function.
+     * Higher priority runs first, equal priority in arrival order.
+     */
+    acquire(options = {}) {
+        const { priority = 0, signal = null, onPosition = null } = options;
+
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        if (this.active < this.maxConcurrent && this.queue.length === 0) {
+            this.active++;
+            return Promise.resolve(this.createRelease());
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                priority,
+                sequence: ++this.sequence,
+                onPosition,
+                resolve,
+                reject,
+                signal,
+                onAbort: null
+            };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    this.remove(entry);
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.insert(entry);
+        });
+    }
+
+    /**
+     * Insert entry keeping the queue ordered by priority, then arrival
+     */
+    insert(entry) {
+        const index = this.queue.findIndex(queued => queued.priority < entry.priority);
+        if (index === -1) {
+            this.queue.push(entry);
+        } else {
+            this.queue.splice(index, 0, entry);
+        }
+        this.reportPositions();
+    }
+
+    /**
+     * Remove a waiting entry (e.g. cancelled while queued)
+     */
+    remove(entry) {
+        const index = this.queue.indexOf(entry);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+            this.reportPositions();
+        }
+    }
+
+    /**
+     * Create a release function that can only be called once
+     */
+    createRelease() {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.active--;
+            this.drain();
+        };
+    }
+
+    /**
+     * Hand free slots to the queue head
+     */
+    drain() {
+        while (this.active < this.maxConcurrent && this.queue.length > 0) {
+            const entry = this.queue.shift();
+            entry.signal?.removeEventListener('abort', entry.onAbort);
+            this.active++;
+            entry.resolve(this.createRelease());
+        }
+        this.reportPositions();
+    }
+
+    /**
+     * Tell each waiting entry how many requests are ahead of it
+     */
+    reportPositions() {
+        this.queue.forEach((entry, index) => {
+            if (entry.onPosition && entry.lastPosition !== index) {
+                entry.lastPosition = index;
+                entry.onPosition(index);
+            }
+        });
+    }
+
+    /**
+     * Change the cap and admit waiting requests if it grew
+     */
+    setMaxConcurrent(maxConcurrent) {
+        this.maxConcurrent = maxConcurrent;
+        this.drain();
+    }
+
+    /**
+     * Get current usage
+     */
+    getStats() {
+        return {
+            active: this.active,
+            queued: this.queue.length,
+            maxConcurrent: this.maxConcurrent
+        };
+    }
+}
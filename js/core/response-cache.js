@@ -0,0 +1,271 @@
+/**
+ * Response Cache
+ * Bounded LRU cache of agent answers with per-entry TTLs and hit/miss counters,
+ * optionally mirrored to IndexedDB so it survives reloads
+ */
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 200;
+        this.defaultTtl = options.defaultTtl ?? 300000;
+        this.entries = new Map(); // Insertion order doubles as recency order
+        this.store = options.store || null; // ResponseCacheStore
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    /**
+     * Reduce a question to the words that matter, so "What's the PTO policy?"
+     * and "what is the  pto policy" share an entry
+     */
+    static normalizeMessage(message) {
+        return String(message || '')
+            .toLowerCase()
+            .replace(/['’]s\b/g, ' is')
+            .split(/[^a-z0-9]+/)
+            .filter(word => word && !ResponseCache.STOPWORDS.has(word))
+            .join(' ');
+    }
+
+    /**
+     * Build a key from the question and everything else that shapes the answer,
+     * including the conversation so far: a follow-up like "and how many sick
+     * days?" means something different in every thread
+     */
+    static createKey(queryData) {
+        const agents = [...(queryData.agents || [])].sort().join(',');
+        return [
+            ResponseCache.normalizeMessage(queryData.message),
+            agents,
+            queryData.routingMode || '',
+            queryData.synthesis || '',
+            queryData.context ? ResponseCache.hash(JSON.stringify(queryData.context)) : ''
+        ].join('|');
+    }
+
+    /**
+     * Short non-cryptographic (FNV-1a) hash for key parts too long to include
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Look up a live entry; returns { response, cachedAt, expiresAt, ... } or null
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) this.remove([key]);
+            this.misses++;
+            return null;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+
+        return entry;
+    }
+
+    /**
+     * Store a response; a TTL of 0 means "don't cache".
+     * `meta` records what invalidation needs: { message, agentIds, agentVersions }.
+     */
+    set(key, response, ttl = this.defaultTtl, meta = {}) {
+        if (ttl <= 0) return;
+
+        const now = Date.now();
+        const entry = {
+            response,
+            cachedAt: now,
+            expiresAt: now + ttl,
+            message: meta.message || '',
+            agentIds: meta.agentIds || [],
+            agentVersions: meta.agentVersions || {}
+        };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.persist(store => store.put({ key, ...entry }));
+
+        // Least recently used entries come first
+        const overflow = this.entries.size - this.maxEntries;
+        if (overflow > 0) {
+            this.evictions += overflow;
+            this.remove(Array.from(this.entries.keys()).slice(0, overflow));
+        }
+    }
+
+    delete(key) {
+        return this.remove([key]) > 0;
+    }
+
+    /**
+     * Drop expired entries
+     */
+    prune() {
+        const now = Date.now();
+        return this.removeWhere(entry => entry.expiresAt <= now);
+    }
+
+    /**
+     * Drop every answer an agent contributed to; returns how many went
+     */
+    invalidateAgent(agentId) {
+        return this.removeWhere(entry => entry.agentIds.includes(agentId));
+    }
+
+    /**
+     * Drop answers to matching questions. A RegExp is tested against the
+     * question as asked; a string matches the normalised question.
+     */
+    invalidatePattern(pattern) {
+        if (pattern instanceof RegExp) {
+            return this.removeWhere(entry => {
+                pattern.lastIndex = 0;
+                return pattern.test(entry.message);
+            });
+        }
+
+        const needle = ResponseCache.normalizeMessage(pattern);
+        if (!needle) return 0;
+        return this.removeWhere((entry, key) => key.split('|')[0].includes(needle));
+    }
+
+    /**
+     * Drop everything
+     */
+    clear() {
+        const count = this.entries.size;
+        this.entries.clear();
+        this.persist(store => store.clear());
+        return count;
+    }
+
+    /**
+     * Load persisted entries, skipping expired ones and any `isCurrent` rejects
+     * (e.g. answers from an agent version that has since changed)
+     */
+    async restore(isCurrent = () => true) {
+        if (!this.store) return 0;
+
+        let records;
+        try {
+            records = await this.store.getAll();
+        } catch (error) {
+            console.warn('Failed to restore response cache:', error);
+            return 0;
+        }
+
+        const now = Date.now();
+        const stale = [];
+        const live = [];
+        records.forEach(record => {
+            (record.expiresAt > now && isCurrent(record) ? live : stale).push(record);
+        });
+
+        // Oldest first so the newest end up most recently used; overflow is stale too
+        live.sort((a, b) => a.cachedAt - b.cachedAt);
+        stale.push(...live.splice(0, Math.max(0, live.length - this.maxEntries)));
+
+        live.forEach(({ key, ...entry }) => {
+            if (!this.entries.has(key)) {
+                this.entries.set(key, entry);
+            }
+        });
+
+        if (stale.length > 0) {
+            this.persist(store => store.remove(stale.map(record => record.key)));
+        }
+
+        return live.length;
+    }
+
+    removeWhere(predicate) {
+        const keys = [];
+        this.entries.forEach((entry, key) => {
+            if (predicate(entry, key)) keys.push(key);
+        });
+        return this.remove(keys);
+    }
+
+    remove(keys) {
+        const removed = keys.filter(key => this.entries.delete(key));
+        if (removed.length > 0) {
+            this.persist(store => store.remove(removed));
+        }
+        return removed.length;
+    }
+
+    /**
+     * Mirror a change to IndexedDB without making callers wait
+     */
+    persist(operation) {
+        if (!this.store) return;
+        operation(this.store).catch(error => {
+            console.warn('Failed to update persisted response cache:', error);
+        });
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Get hit/miss counters and occupancy
+     */
+    getStats() {
+        const lookups = this.hits + this.misses;
+        return {
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            hitRate: lookups > 0 ? (this.hits / lookups) * 100 : 0
+        };
+    }
+}
+
+// IntentClassifier's stopwords minus question words and modal verbs:
+// "how do I..." and "when do I..." must not share an answer
+ResponseCache.STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for',
+    'from', 'get', 'has', 'have', 'help', 'i', 'in', 'is', 'it', 'me', 'my', 'of',
+    'on', 'or', 'our', 'please', 'that', 'the', 'this', 'to', 'was', 'we',
+    'with', 'you', 'your'
+]);
+
+/**
+ * IndexedDB mirror of the response cache
+ */
+class ResponseCacheStore extends IndexedDBStore {
+    constructor(dbName = 'aicanvas_cache') {
+        super(dbName, 'responses');
+    }
+
+    upgrade(db) {
+        db.createObjectStore(this.storeName, { keyPath: 'key' });
+    }
+
+    async put(record) {
+        return this.transact(store => store.put(record));
+    }
+
+    async remove(keys) {
+        return this.transact(store => keys.forEach(key => store.delete(key)));
+    }
+
+    async getAll() {
+        return (await this.read(store => store.getAll())) || [];
+    }
+}
@@ -0,0 +1,376 @@
+/**
+ * Response Synthesis
+ * Pluggable strategies for combining answers from several agents
+ */
+
+class SynthesisStrategyRegistry {
+    constructor() {
+        this.strategies = new Map();
+        this.defaultStrategy = 'concatenate';
+
+        // Register built-in strategies
+        this.register('concatenate', new ConcatenateStrategy());
+        this.register('best-confidence', new BestConfidenceStrategy());
+        this.register('sentence-merge', new SentenceMergeStrategy());
+        this.register('synthesizer-agent', new SynthesizerAgentStrategy());
+    }
+
+    /**
+     * Register a strategy under a name
+     */
+    register(name, strategy) {
+        if (!strategy || typeof strategy.synthesize !== 'function') {
+            throw new Error(`Synthesis strategy "${name}" must implement synthesize()`);
+        }
+        this.strategies.set(name, strategy);
+    }
+
+    /**
+     * Remove a registered strategy
+     */
+    unregister(name) {
+        this.strategies.delete(name);
+    }
+
+    /**
+     * Get strategy names with their labels (for configuration UIs)
+     */
+    getStrategies() {
+        return Array.from(this.strategies.entries()).map(([name, strategy]) => ({
+            name,
+            label: strategy.label || name
+        }));
+    }
+
+    /**
+     * Combine results using the named strategy, flagging conflicts between agents
+     */
+    async synthesize(name, results, context) {
+        let strategyName = name || this.defaultStrategy;
+        let strategy = this.strategies.get(strategyName);
+
+        if (!strategy) {
+            console.warn(`Unknown synthesis strategy "${strategyName}", using ${this.defaultStrategy}`);
+            strategyName = this.defaultStrategy;
+            strategy = this.strategies.get(strategyName);
+        }
+
+        const response = await strategy.synthesize(results, context);
+
+        return {
+            ...response,
+            strategy: response.strategy || strategyName,
+            conflicts: detectAnswerConflicts(results, context.getAgentName),
+            synthesized: true
+        };
+    }
+}
+
+/**
+ * Base synthesis strategy with shared helpers
+ */
+class SynthesisStrategy {
+    /**
+     * Combine sources from all results, dropping duplicates by name
+     */
+    mergeSources(results) {
+        const allSources = results.reduce((acc, result) => acc.concat(result.sources || []), []);
+
+        return allSources.filter((source, index, arr) =>
+            index === arr.findIndex(s => s.name === source.name)
+        );
+    }
+
+    /**
+     * Average confidence across results
+     */
+    averageConfidence(results) {
+        return results.reduce((sum, result) => sum + (result.confidence || 0), 0) / results.length;
+    }
+
+    synthesize(results, context) {
+        throw new Error('synthesize() not implemented');
+    }
+}
+
+/**
+ * One attributed block per agent
+ */
+class ConcatenateStrategy extends SynthesisStrategy {
+    constructor() {
+        super();
+        this.label = 'Show every answer';
+    }
+
+    synthesize(results, context) {
+        const content = results.map(result =>
+            `**${context.getAgentName(result.agentId)}:** ${result.content}`
+        ).join('\n\n');
+
+        return {
+            content,
+            sources: this.mergeSources(results),
+            agents: results.map(r => r.agentId),
+            confidence: this.averageConfidence(results)
+        };
+    }
+}
+
+/**
+ * Answer from the most confident agent; the others are kept as alternatives
+ */
+class BestConfidenceStrategy extends SynthesisStrategy {
+    constructor() {
+        super();
+        this.label = 'Most confident answer';
+    }
+
+    synthesize(results) {
+        // Earlier agents win ties
+        const best = results.reduce((winner, result) =>
+            (result.confidence || 0) > (winner.confidence || 0) ? result : winner
+        );
+
+        return {
+            content: best.content,
+            sources: best.sources || [],
+            agents: [best.agentId],
+            confidence: best.confidence,
+            alternatives: results
+                .filter(result => result !== best)
+                .map(result => ({
+                    agentId: result.agentId,
+                    content: result.content,
+                    confidence: result.confidence
+                }))
+        };
+    }
+}
+
+/**
+ * Merge answers sentence by sentence, collapsing near-duplicates and
+ * crediting every agent that said the same thing
+ */
+class SentenceMergeStrategy extends SynthesisStrategy {
+    constructor(options = {}) {
+        super();
+        this.label = 'Merge and attribute sentences';
+        this.similarityThreshold = options.similarityThreshold || 0.7;
+    }
+
+    synthesize(results, context) {
+        const merged = [];
+
+        results.forEach(result => {
+            splitSentences(result.content).forEach(sentence => {
+                const tokens = tokenizeForComparison(sentence);
+                const duplicate = merged.find(entry =>
+                    jaccardSimilarity(entry.tokens, tokens) >= this.similarityThreshold
+                );
+
+                if (duplicate) {
+                    if (!duplicate.agents.includes(result.agentId)) {
+                        duplicate.agents.push(result.agentId);
+                    }
+                } else {
+                    merged.push({ sentence, tokens, agents: [result.agentId] });
+                }
+            });
+        });
+
+        const content = merged.map(entry =>
+            `${entry.sentence} [${entry.agents.map(context.getAgentName).join(', ')}]`
+        ).join(' ');
+
+        return {
+            content,
+            sources: this.mergeSources(results),
+            agents: results.map(r => r.agentId),
+            confidence: this.averageConfidence(results),
+            attributions: merged.map(({ sentence, agents }) => ({ sentence, agents }))
+        };
+    }
+}
+
+/**
+ * Send every answer to a designated agent and use its combined summary
+ */
+class SynthesizerAgentStrategy extends SynthesisStrategy {
+    constructor() {
+        super();
+        this.label = 'Summarize with an agent';
+        this.fallback = new ConcatenateStrategy();
+    }
+
+    async synthesize(results, context) {
+        const { queryData, orchestrator } = context;
+        const agentId = queryData.synthesisAgent || orchestrator.config.synthesisAgent;
+
+        if (!agentId || !orchestrator.agents.has(agentId)) {
+            return this.fallBack(results, context, 'no synthesizer agent configured');
+        }
+
+        const answers = results.map(result => ({
+            agentId: result.agentId,
+            agentName: context.getAgentName(result.agentId),
+            content: result.content,
+            confidence: result.confidence
+        }));
+
+        const synthesisQuery = {
+            ...queryData,
+            // Stream the summary apart from the agent's own answer
+            streamId: `synthesis:${agentId}`,
+            message: `Combine these answers to "${queryData.message}" into a single response, ` +
+                'keeping facts the agents agree on and pointing out where they disagree.',
+            context: {
+                ...(queryData.context || {}),
+                task: 'synthesize',
+                originalMessage: queryData.message,
+                answers
+            }
+        };
+
+        try {
+            const summary = await orchestrator.executeSingleQuery(synthesisQuery, agentId);
+
+            return {
+                content: summary.content,
+                sources: this.mergeSources([...results, summary]),
+                agents: results.map(r => r.agentId),
+                confidence: summary.confidence ?? this.averageConfidence(results),
+                synthesizedBy: agentId
+            };
+        } catch (error) {
+            // Cancellation ends the query; anything else still shows the raw answers
+            if (queryData.controller?.signal.aborted) {
+                throw error;
+            }
+            return this.fallBack(results, context, error.message);
+        }
+    }
+
+    fallBack(results, context, reason) {
+        console.warn(`Synthesizer agent unavailable (${reason}), concatenating answers`);
+
+        return {
+            ...this.fallback.synthesize(results, context),
+            strategy: 'concatenate',
+            synthesisFallback: reason
+        };
+    }
+}
+
+// Words that never identify what a number refers to
+const FACT_STOPWORDS = new Set([
+    'a', 'an', 'the', 'of', 'and', 'or', 'to', 'in', 'on', 'for', 'per', 'with',
+    'is', 'are', 'was', 'be', 'at', 'by', 'from', 'your', 'my', 'our', 'this', 'that'
+]);
+
+/**
+ * Split text into sentences without breaking decimals like 3.5
+ */
+function splitSentences(text) {
+    return String(text || '')
+        .split(/(?<=[.!?])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Lower-cased word set used for near-duplicate detection
+ */
+function tokenizeForComparison(text) {
+    return new Set(
+        text.toLowerCase()
+            .replace(/[^a-z0-9$%\s]/g, ' ')
+            .split(/\s+/)
+            .filter(token => token && !FACT_STOPWORDS.has(token))
+    );
+}
+
+function jaccardSimilarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+
+    let intersection = 0;
+    a.forEach(token => {
+        if (b.has(token)) intersection++;
+    });
+
+    return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Extract number/topic pairs such as "12 vacation days" → vacation: 12
+ */
+function extractNumericFacts(text) {
+    const facts = [];
+    const pattern = /(\$)?(\d[\d,]*(?:\.\d+)?)\s*(%|percent\b)?\s+([a-z][a-z'-]*)(?:\s+([a-z][a-z'-]*))?/gi;
+    let match;
+
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+        const [, currency, number, percent, first, second] = match;
+        const word = [first, second].find(w => w && !FACT_STOPWORDS.has(w.toLowerCase()));
+
+        // A bare number says nothing about which fact it belongs to
+        if (!word) continue;
+
+        const topic = word.toLowerCase().replace(/s$/, '');
+
+        facts.push({
+            key: `${currency ? '$' : ''}${percent ? '%' : ''}${topic}`,
+            topic,
+            value: parseFloat(number.replace(/,/g, '')),
+            text: `${currency || ''}${number}${percent ? '%' : ''}`
+        });
+    }
+
+    return facts;
+}
+
+/**
+ * Flag facts where two agents give different, non-overlapping numbers
+ */
+function detectAnswerConflicts(results, getAgentName = id => id) {
+    const factsByKey = new Map();
+
+    results.forEach(result => {
+        extractNumericFacts(result.content).forEach(fact => {
+            if (!factsByKey.has(fact.key)) {
+                factsByKey.set(fact.key, { topic: fact.topic, byAgent: new Map() });
+            }
+            const entry = factsByKey.get(fact.key);
+            if (!entry.byAgent.has(result.agentId)) {
+                entry.byAgent.set(result.agentId, new Map());
+            }
+            entry.byAgent.get(result.agentId).set(fact.value, fact.text);
+        });
+    });
+
+    const conflicts = [];
+
+    factsByKey.forEach(({ topic, byAgent }) => {
+        const agents = Array.from(byAgent.entries());
+        const disagree = agents.some(([, valuesA], i) =>
+            agents.slice(i + 1).some(([, valuesB]) =>
+                !Array.from(valuesA.keys()).some(value => valuesB.has(value))
+            )
+        );
+
+        if (disagree) {
+            conflicts.push({
+                topic,
+                values: agents.map(([agentId, values]) => ({
+                    agentId,
+                    agentName: getAgentName(agentId),
+                    values: Array.from(values.values())
+                }))
+            });
+        }
+    });
+
+    return conflicts;
+}
+
+// Create global instance
+window.SynthesisStrategies = new SynthesisStrategyRegistry();
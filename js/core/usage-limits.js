@@ -0,0 +1,270 @@
+/**
+ * Usage Limits
+ * Token-bucket rate limits and daily quotas for agents behind paid APIs,
+ * with counters kept in localStorage so a reload doesn't reset them
+ */
+
+class TokenBucket {
+    /**
+     * `requests` tokens refill every `per` ms; up to `burst` can be saved up
+     */
+    constructor({ requests, per, burst = requests }, state = null) {
+        this.capacity = burst;
+        this.refillRate = requests / per; // tokens per ms
+        this.tokens = Math.min(this.capacity, state?.tokens ?? this.capacity);
+        this.updatedAt = state?.updatedAt ?? Date.now();
+    }
+
+    refill(now = Date.now()) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Take a token if one is available
+     */
+    tryTake() {
+        this.refill();
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * Milliseconds until a token will be available
+     */
+    timeUntilAvailable() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillRate);
+    }
+
+    toJSON() {
+        return { tokens: this.tokens, updatedAt: this.updatedAt };
+    }
+}
+
+class UsageLimiter {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'aicanvas_usage';
+        this.userDailyQuota = options.userDailyQuota ?? null; // Across all agents
+        this.buckets = new Map();   // agentId -> TokenBucket
+        this.usage = { day: this.today(), counts: {} }; // counts['*'] is the user total
+        this.savedBuckets = {};     // Bucket state from the last session, until the agent is used
+        this.load();
+    }
+
+    /**
+     * Wait until the agent may be called and count the request.
+     * Rejects with an AgentRequestError when a daily quota is used up, or when
+     * the rate limit is hit and the agent is configured with onLimit: "reject".
+     * `onWait(ms)` is told how long a queued request will wait (null when done).
+     */
+    async acquire(agent, { signal = null, onWait = null } = {}) {
+        const name = agent.name || agent.id;
+        const limits = agent.limits || {};
+
+        const bucket = this.getBucket(agent);
+        let waited = false;
+
+        // Quotas are checked again after each wait; other requests may have used them up
+        for (;;) {
+            this.checkQuota(agent.id, limits.dailyQuota, `${name} has used its daily quota of ${limits.dailyQuota} requests`, agent.id);
+            this.checkQuota('*', this.userDailyQuota, `You have used your daily quota of ${this.userDailyQuota} requests`, agent.id);
+
+            if (!bucket || bucket.tryTake()) break;
+
+            const wait = bucket.timeUntilAvailable();
+            if (limits.rateLimit.onLimit === 'reject') {
+                throw new AgentRequestError(`${name} is limited to ${this.describeRate(limits.rateLimit)}`, {
+                    type: AgentRequestError.TYPES.RATE_LIMITED,
+                    agentId: agent.id,
+                    retryAfter: wait,
+                    retryable: false
+                });
+            }
+
+            waited = true;
+            onWait?.(wait);
+            await this.sleep(wait, signal);
+        }
+
+        if (waited) onWait?.(null);
+
+        this.record(agent);
+    }
+
+    checkQuota(key, quota, message, agentId) {
+        if (!quota) return;
+        this.rollOver();
+        if ((this.usage.counts[key] || 0) >= quota) {
+            throw new AgentRequestError(message, {
+                type: AgentRequestError.TYPES.QUOTA_EXCEEDED,
+                agentId,
+                retryAfter: this.msUntilMidnight(),
+                retryable: false
+            });
+        }
+    }
+
+    /**
+     * Count a request against the agent's and the user's daily totals
+     */
+    record(agent) {
+        this.rollOver();
+        this.usage.counts[agent.id] = (this.usage.counts[agent.id] || 0) + 1;
+        this.usage.counts['*'] = (this.usage.counts['*'] || 0) + 1;
+        this.save();
+
+        document.dispatchEvent(new CustomEvent('usage:updated', {
+            detail: { agentId: agent.id, usage: this.getUsage(agent) }
+        }));
+    }
+
+    /**
+     * Give back a request that was counted but never sent to the agent
+     */
+    refund(agent) {
+        this.rollOver();
+        [agent.id, '*'].forEach(key => {
+            if (this.usage.counts[key] > 0) {
+                this.usage.counts[key]--;
+            }
+        });
+
+        const bucket = this.buckets.get(agent.id);
+        if (bucket) {
+            bucket.refill();
+            bucket.tokens = Math.min(bucket.capacity, bucket.tokens + 1);
+        }
+        this.save();
+
+        document.dispatchEvent(new CustomEvent('usage:updated', {
+            detail: { agentId: agent.id, usage: this.getUsage(agent) }
+        }));
+    }
+
+    /**
+     * Get an agent's bucket, rebuilding it if the registry changed its limit
+     */
+    getBucket(agent) {
+        const rateLimit = agent.limits?.rateLimit;
+        if (!rateLimit) {
+            this.buckets.delete(agent.id);
+            return null;
+        }
+
+        let bucket = this.buckets.get(agent.id);
+        const capacity = rateLimit.burst ?? rateLimit.requests;
+        if (!bucket || bucket.capacity !== capacity || bucket.refillRate !== rateLimit.requests / rateLimit.per) {
+            bucket = new TokenBucket(rateLimit, bucket?.toJSON() || this.savedBuckets[agent.id]);
+            this.buckets.set(agent.id, bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * Today's usage for an agent: { used, quota, remaining } (quota/remaining null when unlimited)
+     */
+    getUsage(agent) {
+        this.rollOver();
+        const quota = agent.limits?.dailyQuota ?? null;
+        const used = this.usage.counts[agent.id] || 0;
+
+        return {
+            used,
+            quota,
+            remaining: quota === null ? null : Math.max(0, quota - used)
+        };
+    }
+
+    /**
+     * Today's totals for every agent plus the user-wide count
+     */
+    getSnapshot() {
+        this.rollOver();
+        return {
+            day: this.usage.day,
+            counts: { ...this.usage.counts },
+            userDailyQuota: this.userDailyQuota
+        };
+    }
+
+    forget(agentId) {
+        this.buckets.delete(agentId);
+    }
+
+    /**
+     * Start a fresh day's counters after midnight
+     */
+    rollOver() {
+        const today = this.today();
+        if (this.usage.day !== today) {
+            this.usage = { day: today, counts: {} };
+            this.save();
+        }
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.usage = saved.usage || this.usage;
+                this.savedBuckets = saved.buckets || {};
+            }
+            this.rollOver();
+        } catch (error) {
+            console.warn('Failed to load usage counters:', error);
+        }
+    }
+
+    save() {
+        try {
+            const buckets = { ...this.savedBuckets };
+            this.buckets.forEach((bucket, agentId) => {
+                buckets[agentId] = bucket.toJSON();
+            });
+            localStorage.setItem(this.storageKey, JSON.stringify({ usage: this.usage, buckets }));
+        } catch (error) {
+            console.warn('Failed to save usage counters:', error);
+        }
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    describeRate({ requests, per }) {
+        const count = `${requests} request${requests === 1 ? '' : 's'}`;
+        const seconds = per / 1000;
+        if (seconds === 60) return `${count} a minute`;
+        if (seconds === 3600) return `${count} an hour`;
+        return `${count} every ${seconds}s`;
+    }
+
+    today() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    msUntilMidnight() {
+        const midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+        return midnight - Date.now();
+    }
+}
@@ -10,6 +10,8 @@ class WidgetManager {
         this.selectedWidget = null;
         this.dragData = null;
         this.resizeData = null;
+        this.analyticsFrame = null;
+        this.analyticsTimer = null;
         
         // Widget templates
         this.templates = new Map();
@@ -101,6 +103,36 @@ class WidgetManager {
         document.addEventListener('mousemove', this.handleMouseMove.bind(this));
         document.addEventListener('mouseup', this.handleMouseUp.bind(this));
         
+        // Streaming agent answers
+        document.addEventListener('agent:response-chunk', (event) => {
+            this.handleResponseChunk(event.detail);
+        });
+        
+        document.addEventListener('agent:query-cancelled', (event) => {
+            this.handleQueryCancelled(event.detail);
+        });
+        
+        document.addEventListener('agent:query-queued', (event) => {
+            this.handleQueryQueued(event.detail);
+        });
+        
+        // Keep analytics dashboards live: logged queries update the cost ledger, agent calls the metrics registry
+        ['costs:updated', 'metrics:updated', 'agent:status-changed', 'agents:added', 'agents:removed', 'agents:updated'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.scheduleAnalyticsUpdate());
+        });
+        
+        ['widget:created', 'widget:destroyed'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                this.syncAnalyticsRefresh();
+                this.scheduleAnalyticsUpdate();
+            });
+        });
+        
+        // Keep chat agent chips in line with the agent registry
+        ['agents:added', 'agents:removed', 'agents:updated'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.syncAgentChips());
+        });
+        
         // Sidebar template interactions
         const templateCards = document.querySelectorAll('.template-card');
         templateCards.forEach(card => {
@@ -230,6 +262,11 @@ class WidgetManager {
                 created: new Date().toISOString()
             };
             
+            // Chat widgets remember the conversation for follow-up questions
+            if (config.type === 'multi-agent-chat') {
+                widget.memory = ConversationMemory.fromJSON(config.conversation, widget.config.memory);
+            }
+            
             // Create DOM element
             const element = this.createWidgetElement(widget, template);
             
@@ -243,6 +280,10 @@ class WidgetManager {
             // Set up widget interactions
             this.setupWidgetInteractions(element, widget);
             
+            if (widget.memory) {
+                this.renderConversation(element, widget.memory);
+            }
+            
             // Store widget
             this.widgets.set(widgetId, widget);
             
@@ -338,21 +379,21 @@ class WidgetManager {
      * Create chat widget content
      */
     createChatWidgetContent(widget) {
+        // Chips come from the agent registry; presets may pre-select agents
+        const enabledAgents = widget.config.enabledAgents;
+        const agentChips = Array.from(AICanvas.agents.values()).map(agent => {
+            const active = enabledAgents ? enabledAgents.includes(agent.id) : agent.defaultEnabled;
+            return `
+                    <button class="agent-chip ${active ? 'active' : ''}" data-agent="${this.escapeHtml(agent.id)}"
+                            aria-pressed="${active ? 'true' : 'false'}">
+                        ${this.escapeHtml(agent.name)}
+                    </button>`;
+        }).join('');
+        
         return `
             <div class="agent-selector">
                 <div class="agent-chips" role="group" aria-label="Select active agents">
-                    <button class="agent-chip active" data-agent="workday">
-                        Workday Assistant
-                    </button>
-                    <button class="agent-chip active" data-agent="policy">
-                        Policy Bot
-                    </button>
-                    <button class="agent-chip" data-agent="healthcare">
-                        Healthcare Bot
-                    </button>
-                    <button class="agent-chip" data-agent="finance">
-                        Finance Helper
-                    </button>
+                    ${agentChips}
                 </div>
             </div>
             
@@ -376,6 +417,9 @@ class WidgetManager {
                     <button type="submit" class="send-button" aria-label="Send message">
                         Send
                     </button>
+                    <button type="button" class="stop-button" aria-label="Stop generating response" hidden>
+                        Stop
+                    </button>
                 </form>
             </div>
         `;
@@ -474,59 +518,297 @@ class WidgetManager {
      * Create analytics dashboard widget content
      */
     createAnalyticsWidgetContent(widget) {
+        const selected = this.getAnalyticsRange(widget);
+        const rangeButtons = Object.entries(WidgetManager.ANALYTICS_RANGES).map(([id, range]) => `
+            <button type="button" class="range-btn" data-range="${id}"
+                    aria-pressed="${range === selected}">${range.label}</button>
+        `).join('');
+        
+        return `
+            <div class="analytics-toolbar" role="group" aria-label="Time range">
+                ${rangeButtons}
+            </div>
+            <div class="analytics-view">
+                ${this.renderAnalytics(widget)}
+            </div>
+        `;
+    }
+
+    /**
+     * The widget's selected time range (last day by default)
+     */
+    getAnalyticsRange(widget) {
+        return WidgetManager.ANALYTICS_RANGES[widget.config.range] || WidgetManager.ANALYTICS_RANGES.day;
+    }
+
+    /**
+     * Render metric cards, sparklines and breakdowns from the orchestrator's stats
+     */
+    renderAnalytics(widget) {
+        const range = this.getAnalyticsRange(widget);
+        const ledger = AgentOrchestrator.costLedger;
+        const stats = AgentOrchestrator.getPerformanceStats({
+            from: new Date(Date.now() - range.duration),
+            buckets: range.buckets
+        });
+        const totals = stats.costStats;
+        const dailyBudget = ledger.getBudgetStatus().daily;
+        
+        const hasQueries = stats.totalQueries > 0;
+        const tokens = totals.promptTokens + totals.completionTokens;
+        const approx = totals.estimated ? '~' : '';
+        
+        let successClass = '';
+        if (hasQueries) {
+            successClass = stats.successRate >= 95 ? 'success' : stats.successRate >= 80 ? 'warning' : 'error';
+        }
+        
+        let budgetLine = '';
+        if (dailyBudget) {
+            const budgetClass = dailyBudget.fraction >= 1 ? 'error' : dailyBudget.fraction >= 0.8 ? 'warning' : '';
+            budgetLine = `
+                <p class="analytics-budget ${budgetClass}">
+                    Today's spend: ${ledger.formatCost(dailyBudget.spent)} of ${ledger.formatCost(dailyBudget.budget)} budget
+                </p>
+            `;
+        }
+        
         return `
             <div class="analytics-overview">
                 <div class="metric-grid">
                     <div class="metric-card">
-                        <div class="metric-value" id="${widget.id}-queries">247</div>
-                        <div class="metric-label">Queries Today</div>
+                        <div class="metric-value" id="${widget.id}-queries">${stats.totalQueries}</div>
+                        <div class="metric-label">Queries</div>
                     </div>
                     <div class="metric-card">
-                        <div class="metric-value success" id="${widget.id}-success">98.4%</div>
+                        <div class="metric-value ${successClass}" id="${widget.id}-success">
+                            ${hasQueries ? `${stats.successRate.toFixed(1)}%` : '–'}
+                        </div>
                         <div class="metric-label">Success Rate</div>
                     </div>
                     <div class="metric-card">
-                        <div class="metric-value" id="${widget.id}-response">1.2s</div>
+                        <div class="metric-value" id="${widget.id}-response">
+                            ${hasQueries ? this.formatSeconds(stats.averageResponseTime) : '–'}
+                        </div>
                         <div class="metric-label">Avg Response</div>
                     </div>
-                    <div class="metric-card">
-                        <div class="metric-value warning" id="${widget.id}-cost">$23.40</div>
+                    <div class="metric-card" title="${approx}${ledger.formatTokens(tokens)} tokens (${ledger.formatTokens(totals.promptTokens)} prompt, ${ledger.formatTokens(totals.completionTokens)} completion)">
+                        <div class="metric-value" id="${widget.id}-cost">${approx}${ledger.formatCost(totals.cost)}</div>
                         <div class="metric-label">Token Cost</div>
                     </div>
                 </div>
+                ${budgetLine}
+                ${totals.estimated ? '<p class="analytics-note">~ Includes estimates for agents that don\'t report token usage</p>' : ''}
+            </div>
+            
+            <div class="analytics-trends">
+                ${this.renderSparkline('Response time', stats.timeline.map(bucket => bucket.averageDuration), {
+                    range,
+                    format: value => this.formatSeconds(value)
+                })}
+                ${this.renderSparkline('Success rate', stats.timeline.map(bucket => bucket.successRate), {
+                    range,
+                    min: 0,
+                    max: 100,
+                    format: value => `${Math.round(value)}%`
+                })}
             </div>
             
             <div class="analytics-details">
-                <div class="agent-performance">
-                    <h4>Agent Performance</h4>
-                    <div class="performance-list" role="list">
-                        <div class="performance-item" role="listitem">
-                            <span class="agent-name">Policy Bot</span>
-                            <span class="performance-bar">
-                                <span class="bar-fill" style="width: 95%"></span>
-                            </span>
-                            <span class="performance-value">95%</span>
-                        </div>
-                        <div class="performance-item" role="listitem">
-                            <span class="agent-name">Workday Assistant</span>
-                            <span class="performance-bar">
-                                <span class="bar-fill" style="width: 92%"></span>
-                            </span>
-                            <span class="performance-value">92%</span>
-                        </div>
-                        <div class="performance-item" role="listitem">
-                            <span class="agent-name">Finance Helper</span>
-                            <span class="performance-bar">
-                                <span class="bar-fill" style="width: 88%"></span>
-                            </span>
-                            <span class="performance-value">88%</span>
-                        </div>
-                    </div>
+                ${this.renderAgentPerformance(stats.agentStats)}
+                ${this.renderCostBreakdown('Cost by Agent', totals.byAgent,
+                    agentId => AgentOrchestrator.agents.get(agentId)?.name || agentId)}
+                ${this.renderCostBreakdown('Cost by Widget', totals.byWidget,
+                    widgetId => this.widgets.get(widgetId)?.title || (widgetId === 'none' ? 'Other' : 'Closed widget'))}
+            </div>
+        `;
+    }
+
+    /**
+     * Draw a series as an SVG sparkline; null values (intervals without queries) leave gaps
+     */
+    renderSparkline(label, values, { range, min = 0, max = null, format }) {
+        const present = values.filter(value => value !== null);
+        if (present.length === 0) {
+            return `
+                <div class="sparkline">
+                    <span class="sparkline-label">${label}</span>
+                    <span class="sparkline-empty">No data</span>
                 </div>
+            `;
+        }
+        
+        const width = 100;
+        const height = 24;
+        const top = max ?? Math.max(...present);
+        const span = top - min || 1;
+        const step = width / values.length;
+        
+        // One subpath per run of values; a lone point still draws as a dot thanks to the round cap
+        let path = '';
+        let drawing = false;
+        values.forEach((value, index) => {
+            if (value === null) {
+                drawing = false;
+                return;
+            }
+            const x = ((index + 0.5) * step).toFixed(2);
+            const y = (height - 2 - ((value - min) / span) * (height - 4)).toFixed(2);
+            path += drawing ? ` L${x},${y}` : ` M${x},${y} L${x},${y}`;
+            drawing = true;
+        });
+        
+        const latest = present[present.length - 1];
+        const average = present.reduce((sum, value) => sum + value, 0) / present.length;
+        const description = `${label} over the ${range.label.toLowerCase()}: latest ${format(latest)}, ` +
+            `average ${format(average)}, low ${format(Math.min(...present))}, high ${format(Math.max(...present))}`;
+        
+        return `
+            <div class="sparkline">
+                <span class="sparkline-label">${label}</span>
+                <svg class="sparkline-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"
+                    role="img" aria-label="${description}">
+                    <title>${description}</title>
+                    <path class="sparkline-line" d="${path.trim()}"></path>
+                </svg>
+                <span class="sparkline-value">${format(latest)}</span>
             </div>
         `;
     }
 
+    /**
+     * Success rate bars for agents that were asked within the range
+     */
+    renderAgentPerformance(agentStats) {
+        const rows = Object.entries(agentStats)
+            .filter(([, agentStat]) => agentStat.period?.calls > 0)
+            .sort(([, a], [, b]) => b.period.calls - a.period.calls);
+        
+        const items = rows.map(([, agentStat]) => {
+            const { calls, successRate, averageCallTime } = agentStat.period;
+            return `
+                <div class="performance-item" role="listitem"
+                     title="${AgentStatus.getLabel(agentStat.status)}; ${calls} ${calls === 1 ? 'request' : 'requests'}, average ${this.formatSeconds(averageCallTime)}">
+                    <span class="agent-name">
+                        <span class="status-indicator ${AgentStatus.getIndicatorClass(agentStat.status)}" aria-hidden="true"></span>
+                        ${this.escapeHtml(agentStat.name)}
+                    </span>
+                    <span class="performance-bar">
+                        <span class="bar-fill" style="width: ${Math.round(successRate)}%"></span>
+                    </span>
+                    <span class="performance-value">${Math.round(successRate)}%</span>
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="agent-performance">
+                <h4>Agent Performance</h4>
+                ${rows.length > 0
+                    ? `<div class="performance-list" role="list">${items}</div>`
+                    : '<p class="analytics-empty">No agent requests in this range.</p>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a list of cost bars, scaled to the most expensive row
+     */
+    renderCostBreakdown(title, totalsByKey, getLabel) {
+        const ledger = AgentOrchestrator.costLedger;
+        const rows = Object.entries(totalsByKey)
+            .filter(([, totals]) => totals.queries > 0)
+            .sort(([, a], [, b]) => b.cost - a.cost || b.queries - a.queries);
+        
+        // Agents without pricing cost nothing, so fall back to token counts for the bars
+        const measure = rows.some(([, totals]) => totals.cost > 0)
+            ? totals => totals.cost
+            : totals => totals.promptTokens + totals.completionTokens;
+        const max = Math.max(0, ...rows.map(([, totals]) => measure(totals)));
+        
+        const items = rows.map(([key, totals]) => {
+            const width = max > 0 ? Math.round((measure(totals) / max) * 100) : 0;
+            const tokens = ledger.formatTokens(totals.promptTokens + totals.completionTokens);
+            const approx = totals.estimated ? '~' : '';
+            return `
+                <div class="performance-item" role="listitem"
+                     title="${totals.queries} ${totals.queries === 1 ? 'query' : 'queries'}, ${approx}${tokens} tokens">
+                    <span class="agent-name">${this.escapeHtml(getLabel(key))}</span>
+                    <span class="performance-bar">
+                        <span class="bar-fill" style="width: ${width}%"></span>
+                    </span>
+                    <span class="performance-value">${approx}${ledger.formatCost(totals.cost)}</span>
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="cost-breakdown">
+                <h4>${title}</h4>
+                ${rows.length > 0
+                    ? `<div class="performance-list" role="list">${items}</div>`
+                    : '<p class="analytics-empty">No queries in this range.</p>'}
+            </div>
+        `;
+    }
+
+    formatSeconds(ms) {
+        return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+    }
+
+    /**
+     * Set up analytics widget specific interactions
+     */
+    setupAnalyticsWidgetInteractions(element, widget) {
+        element.querySelector('.analytics-toolbar').addEventListener('click', (e) => {
+            const button = e.target.closest('.range-btn');
+            if (!button) return;
+            
+            widget.config.range = button.dataset.range;
+            element.querySelectorAll('.range-btn').forEach(btn => {
+                btn.setAttribute('aria-pressed', String(btn === button));
+            });
+            this.updateAnalyticsWidgets();
+        });
+    }
+
+    /**
+     * Re-render every analytics widget, at most once per frame
+     */
+    scheduleAnalyticsUpdate() {
+        if (this.analyticsFrame) return;
+        
+        this.analyticsFrame = requestAnimationFrame(() => {
+            this.analyticsFrame = null;
+            this.updateAnalyticsWidgets();
+        });
+    }
+
+    updateAnalyticsWidgets() {
+        this.widgets.forEach(widget => {
+            if (widget.type !== 'analytics-dashboard') return;
+            
+            const view = document.getElementById(widget.id)?.querySelector('.analytics-view');
+            if (view) {
+                view.innerHTML = this.renderAnalytics(widget);
+            }
+        });
+    }
+
+    /**
+     * Refresh analytics once a minute while any are open, so older queries leave the range
+     */
+    syncAnalyticsRefresh() {
+        const hasAnalytics = Array.from(this.widgets.values()).some(widget => widget.type === 'analytics-dashboard');
+        
+        if (hasAnalytics && !this.analyticsTimer) {
+            this.analyticsTimer = setInterval(() => this.updateAnalyticsWidgets(), 60000);
+        } else if (!hasAnalytics && this.analyticsTimer) {
+            clearInterval(this.analyticsTimer);
+            this.analyticsTimer = null;
+        }
+    }
+
 /**
      * Set up widget interactions (drag, resize, controls)
      */
@@ -554,6 +836,10 @@ class WidgetManager {
         if (widget.type === 'multi-agent-chat') {
             this.setupChatWidgetInteractions(element, widget);
         }
+        
+        if (widget.type === 'analytics-dashboard') {
+            this.setupAnalyticsWidgetInteractions(element, widget);
+        }
     }
 
     /**
@@ -563,17 +849,10 @@ class WidgetManager {
         const agentChips = element.querySelectorAll('.agent-chip');
         const chatForm = element.querySelector('.chat-input-form');
         const chatInput = element.querySelector('.chat-input');
+        const stopButton = element.querySelector('.stop-button');
         
         // Agent selection
-        agentChips.forEach(chip => {
-            chip.addEventListener('click', () => {
-                chip.classList.toggle('active');
-                this.updateWidgetConfig(widget.id, {
-                    enabledAgents: Array.from(element.querySelectorAll('.agent-chip.active'))
-                        .map(c => c.dataset.agent)
-                });
-            });
-        });
+        agentChips.forEach(chip => this.bindAgentChip(chip, element, widget));
         
         // Chat submission
         chatForm.addEventListener('submit', (e) => {
@@ -581,6 +860,11 @@ class WidgetManager {
             this.handleChatSubmission(widget.id, chatInput.value.trim());
         });
         
+        // Stop in-flight queries
+        stopButton.addEventListener('click', () => {
+            AgentOrchestrator.cancelQueriesForWidget(widget.id, 'Stopped by user');
+        });
+        
         // Auto-resize textarea
         chatInput.addEventListener('input', () => {
             chatInput.style.height = 'auto';
@@ -589,26 +873,34 @@ class WidgetManager {
     }
 
     /**
-     * Handle chat message submission
+     * Handle chat message submission; `options.bypassCache` asks the agents again
+     * even if a cached answer exists. A re-ask passes the original
+     * `options.context` and reuses the user message already in the chat.
      */
-    async handleChatSubmission(widgetId, message) {
+    async handleChatSubmission(widgetId, message, options = {}) {
         if (!message) return;
         
         const widget = this.widgets.get(widgetId);
         const element = document.getElementById(widgetId);
         const messagesContainer = element.querySelector('.chat-messages');
         const chatInput = element.querySelector('.chat-input');
+        const reask = Boolean(options.context);
         
-        // Clear input
-        chatInput.value = '';
-        chatInput.style.height = 'auto';
+        // A new message supersedes anything still being answered
+        AgentOrchestrator.cancelQueriesForWidget(widgetId, 'Superseded by a new message');
         
-        // Add user message
-        this.addChatMessage(messagesContainer, {
-            type: 'user',
-            content: message,
-            timestamp: new Date()
-        });
+        if (!reask) {
+            // Clear input
+            chatInput.value = '';
+            chatInput.style.height = 'auto';
+            
+            // Add user message
+            this.addChatMessage(messagesContainer, {
+                type: 'user',
+                content: message,
+                timestamp: new Date()
+            });
+        }
         
         // Get enabled agents
         const enabledAgents = Array.from(element.querySelectorAll('.agent-chip.active'))
@@ -623,28 +915,32 @@ class WidgetManager {
             return;
         }
         
+        // Send earlier turns along, then remember this one
+        const context = options.context || {
+            ...(widget.config.context || {}),
+            conversation: widget.memory.getContext()
+        };
+        if (!reask) {
+            widget.memory.addTurn('user', message);
+        }
+        
         // Show typing indicator
         const typingIndicator = this.addTypingIndicator(messagesContainer);
+        this.setChatBusy(element, true);
         
         try {
-            // Process query through agent orchestrator
-            const response = await AgentOrchestrator.processQuery({
+            // Process query through agent orchestrator; partial answers arrive as
+            // agent:response-chunk events and the final one as agent:response-ready
+            await AgentOrchestrator.processQuery({
                 message,
                 agents: enabledAgents,
                 widgetId,
-                context: widget.config.context || {}
-            });
-            
-            // Remove typing indicator
-            typingIndicator.remove();
-            
-            // Add response
-            this.addChatMessage(messagesContainer, {
-                type: 'assistant',
-                content: response.content,
-                sources: response.sources,
-                agents: response.agents,
-                timestamp: new Date()
+                routingMode: widget.config.routingMode || 'parallel',
+                confidenceThreshold: widget.config.confidenceThreshold,
+                synthesis: widget.config.synthesis,
+                synthesisAgent: widget.config.synthesisAgent,
+                bypassCache: Boolean(options.bypassCache),
+                context
             });
             
         } catch (error) {
@@ -659,7 +955,145 @@ class WidgetManager {
                 content: 'Sorry, I encountered an error processing your request. Please try again.',
                 timestamp: new Date()
             });
+        } finally {
+            // Stay busy if a newer message is still being answered
+            this.setChatBusy(element, AgentOrchestrator.getActiveQueriesForWidget(widgetId).length > 0);
+        }
+    }
+
+    /**
+     * Toggle an agent chip and remember the selection
+     */
+    bindAgentChip(chip, element, widget) {
+        chip.addEventListener('click', () => {
+            const active = chip.classList.toggle('active');
+            chip.setAttribute('aria-pressed', active ? 'true' : 'false');
+            this.updateWidgetConfig(widget.id, {
+                enabledAgents: Array.from(element.querySelectorAll('.agent-chip.active'))
+                    .map(c => c.dataset.agent)
+            });
+        });
+    }
+
+    /**
+     * Add, remove and rename chat agent chips after a registry reload
+     */
+    syncAgentChips() {
+        this.widgets.forEach(widget => {
+            if (widget.type !== 'multi-agent-chat') return;
+            
+            const element = document.getElementById(widget.id);
+            const chipContainer = element?.querySelector('.agent-chips');
+            if (!chipContainer) return;
+            
+            const chips = new Map(Array.from(chipContainer.querySelectorAll('.agent-chip'))
+                .map(chip => [chip.dataset.agent, chip]));
+            
+            chips.forEach((chip, agentId) => {
+                if (!AICanvas.agents.has(agentId)) {
+                    chip.remove();
+                }
+            });
+            
+            AICanvas.agents.forEach((agent, agentId) => {
+                const chip = chips.get(agentId);
+                if (chip) {
+                    chip.textContent = agent.name;
+                    return;
+                }
+                
+                const newChip = document.createElement('button');
+                newChip.className = `agent-chip ${agent.defaultEnabled ? 'active' : ''}`;
+                newChip.dataset.agent = agentId;
+                newChip.setAttribute('aria-pressed', agent.defaultEnabled ? 'true' : 'false');
+                newChip.textContent = agent.name;
+                chipContainer.appendChild(newChip);
+                this.bindAgentChip(newChip, element, widget);
+            });
+            
+            // Removed agents drop out of a saved selection
+            if (widget.config.enabledAgents) {
+                this.updateWidgetConfig(widget.id, {
+                    enabledAgents: Array.from(chipContainer.querySelectorAll('.agent-chip.active'))
+                        .map(chip => chip.dataset.agent)
+                });
+            }
+        });
+    }
+
+    /**
+     * Toggle the chat form between Send and Stop
+     */
+    setChatBusy(element, busy) {
+        const stopButton = element.querySelector('.stop-button');
+        if (stopButton) {
+            stopButton.hidden = !busy;
         }
+        element.querySelector('.chat-messages')?.setAttribute('aria-busy', busy ? 'true' : 'false');
+    }
+
+    /**
+     * Handle a cancelled query for a chat widget
+     */
+    handleQueryCancelled(cancelData) {
+        const { queryId, widgetId, reason } = cancelData;
+        const widget = this.widgets.get(widgetId);
+        
+        if (!widget || widget.type !== 'multi-agent-chat') return;
+        
+        const element = document.getElementById(widgetId);
+        const messagesContainer = element.querySelector('.chat-messages');
+        
+        const typingIndicator = messagesContainer.querySelector('.typing-indicator');
+        if (typingIndicator) {
+            typingIndicator.remove();
+        }
+        
+        // Keep partial answers visible but mark them as stopped
+        messagesContainer.querySelectorAll(
+            `.chat-message.streaming[data-query-id="${queryId}"]`
+        ).forEach(el => {
+            el.classList.add('stream-failed');
+            el.removeAttribute('aria-busy');
+        });
+        
+        this.addChatMessage(messagesContainer, {
+            type: 'system',
+            content: `${reason}.`,
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * Show queue position in place of the typing indicator
+     */
+    handleQueryQueued(queueData) {
+        const { widgetId, agentId, queued, ahead, retryIn } = queueData;
+        const widget = this.widgets.get(widgetId);
+        
+        if (!widget || widget.type !== 'multi-agent-chat') return;
+        
+        const typingIndicator = document.getElementById(widgetId)?.querySelector('.typing-indicator');
+        if (!typingIndicator) return;
+        
+        const typingText = typingIndicator.querySelector('.typing-text');
+        typingIndicator.classList.toggle('queued', queued);
+        
+        if (!queued) {
+            typingText.textContent = 'AI agents are thinking...';
+            return;
+        }
+        
+        const agentName = AgentOrchestrator.agents.get(agentId)?.name || agentId;
+        if (retryIn) {
+            typingText.textContent = `Waiting for ${agentName}'s rate limit (about ${Math.ceil(retryIn / 1000)}s)...`;
+            return;
+        }
+        
+        const position = `${ahead} ahead`;
+        typingText.textContent = agentId ?
+            `Waiting for ${agentName} (${position})...` :
+            `Queued (${position})...`;
     }
 
     /**
@@ -693,18 +1127,69 @@ class WidgetManager {
             </div>`;
         }
         
+        let conflictsHtml = '';
+        if (message.conflicts && message.conflicts.length > 0) {
+            conflictsHtml = `<div class="message-conflicts" role="note">
+                <span class="conflicts-title">⚠ Agents disagree</span>
+                <ul>
+                    ${message.conflicts.map(conflict => `<li>${this.escapeHtml(this.describeConflict(conflict))}</li>`).join('')}
+                </ul>
+            </div>`;
+        }
+        
+        let feedbackHtml = '';
+        if (message.type === 'assistant' && message.queryId) {
+            messageEl.dataset.queryId = message.queryId;
+            feedbackHtml = `<div class="message-feedback" role="group" aria-label="Rate this answer">
+                <button type="button" class="feedback-button" data-rating="up" aria-pressed="false" 
+                        aria-label="Helpful answer" title="Helpful">👍</button>
+                <button type="button" class="feedback-button" data-rating="down" aria-pressed="false" 
+                        aria-label="Unhelpful answer" title="Not helpful">👎</button>
+                <button type="button" class="feedback-button" data-rating="wrong-agent" aria-pressed="false" 
+                        title="These agents were the wrong ones to ask">Wrong agent</button>
+            </div>`;
+        }
+        
+        let cachedHtml = '';
+        if (message.cachedAt) {
+            const cachedTime = new Date(message.cachedAt).toLocaleTimeString([], {
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            cachedHtml = `<span class="cache-status">
+                <span class="cached-badge" title="Saved answer from ${cachedTime}">cached</span>
+                ${message.query ? '<button type="button" class="refresh-answer" aria-label="Ask the agents again instead of using the cached answer">Refresh</button>' : ''}
+            </span>`;
+        }
+        
         messageEl.innerHTML = `
             <div class="message-header">
                 <span class="message-sender">${this.getMessageSender(message.type, message.agents)}</span>
+                ${cachedHtml}
                 <span class="message-time">${timeString}</span>
             </div>
             <div class="message-content">
                 ${this.escapeHtml(message.content)}
                 ${sourcesHtml}
             </div>
+            ${conflictsHtml}
             ${agentsHtml}
+            ${message.routing ? this.renderRoutingTrace(message.routing) : ''}
+            ${feedbackHtml}
         `;
         
+        messageEl.querySelectorAll('.feedback-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.submitFeedback(messageEl, message.queryId, button.dataset.rating);
+            });
+        });
+        
+        messageEl.querySelector('.refresh-answer')?.addEventListener('click', (e) => {
+            const widgetId = container.closest('.widget')?.id;
+            e.target.disabled = true;
+            this.reaskChatQuery(widgetId, message);
+        });
+        
         container.appendChild(messageEl);
         container.scrollTop = container.scrollHeight;
         
@@ -712,12 +1197,160 @@ class WidgetManager {
         AICanvas.announceToScreenReader(`New message from ${this.getMessageSender(message.type, message.agents)}`);
     }
 
+    /**
+     * Ask a cached answer's question again, skipping the cache. The question
+     * stays where it is in the chat and is sent with the same context as before;
+     * only the old answer is dropped from memory.
+     */
+    reaskChatQuery(widgetId, message) {
+        const widget = this.widgets.get(widgetId);
+        if (!widget) return;
+        
+        widget.memory.removeAnswer(message.queryId);
+        this.handleChatSubmission(widgetId, message.query, {
+            bypassCache: true,
+            context: message.context || { ...(widget.config.context || {}), conversation: widget.memory.getContext() }
+        });
+    }
+
+    /**
+     * Render the expandable "Why these agents?" section for a routing trace
+     */
+    renderRoutingTrace(routing) {
+        const strategyLabels = {
+            smart: 'Smart routing',
+            sequential: 'Sequential (stop when confident)',
+            specified: 'All enabled agents'
+        };
+        const outcomeLabels = {
+            answered: 'answered',
+            outranked: 'answered, less confident',
+            skipped: 'not asked, an earlier answer was confident',
+            failed: 'did not answer'
+        };
+        
+        const agentItems = routing.agents.map(agent => {
+            const details = [];
+            if (agent.outcome) details.push(outcomeLabels[agent.outcome] || agent.outcome);
+            if (agent.confidence !== null) details.push(`${Math.round(agent.confidence * 100)}% match`);
+            
+            const terms = agent.matchedTerms.length > 0 ?
+                `<div class="routing-terms">Matched: ${agent.matchedTerms.map(term =>
+                    `<span class="routing-term" title="weight ${term.weight}">${this.escapeHtml(term.word || term.term)}</span>`
+                ).join(' ')}</div>` : '';
+            
+            return `<li>
+                <strong>${this.escapeHtml(agent.agentName)}</strong>
+                ${details.length > 0 ? `<span class="routing-detail">(${this.escapeHtml(details.join(', '))})</span>` : ''}
+                ${agent.score ? `<span class="routing-score">score ${agent.score}</span>` : ''}
+                ${terms}
+            </li>`;
+        }).join('');
+        
+        const excludedItems = routing.excluded.map(exclusion =>
+            `<li>${this.escapeHtml(exclusion.agentName)}: ${this.escapeHtml(exclusion.reason)}</li>`
+        ).join('');
+        
+        return `<details class="routing-trace">
+            <summary>Why these agents?</summary>
+            <p class="routing-strategy">Strategy: ${this.escapeHtml(strategyLabels[routing.strategy] || routing.strategy)}</p>
+            ${routing.fallback ? `<p class="routing-fallback">${this.escapeHtml(routing.fallback)}</p>` : ''}
+            <ul class="routing-agents">${agentItems}</ul>
+            ${excludedItems ? `<p class="routing-excluded-title">Left out</p><ul class="routing-excluded">${excludedItems}</ul>` : ''}
+        </details>`;
+    }
+
+    /**
+     * Describe a conflict, e.g. "vacation: Workday says 12, HR Policy says 10"
+     */
+    describeConflict(conflict) {
+        const claims = conflict.values.map(({ agentName, values }) => 
+            `${agentName} says ${values.join(' / ')}`
+        );
+        return `${conflict.topic}: ${claims.join(', ')}`;
+    }
+
+    /**
+     * Handle a partial agent answer for a chat widget
+     */
+    handleResponseChunk(chunkData) {
+        const { queryId, widgetId, agentId, streamId = agentId, content, done, error } = chunkData;
+        const widget = this.widgets.get(widgetId);
+        
+        if (!widget || widget.type !== 'multi-agent-chat') return;
+        
+        const element = document.getElementById(widgetId);
+        const messagesContainer = element.querySelector('.chat-messages');
+        
+        let messageEl = messagesContainer.querySelector(
+            `.chat-message.streaming[data-query-id="${queryId}"][data-stream-id="${streamId}"]`
+        );
+        
+        if (!messageEl) {
+            // Nothing to show until the agent produces output
+            if (!content) return;
+            
+            // First output for this query replaces the typing indicator
+            const typingIndicator = messagesContainer.querySelector('.typing-indicator');
+            if (typingIndicator) {
+                typingIndicator.remove();
+            }
+            
+            messageEl = this.addStreamingMessage(messagesContainer, queryId, agentId, streamId);
+        }
+        
+        messageEl.querySelector('.message-content').textContent = content;
+        
+        if (done) {
+            messageEl.classList.add(error ? 'stream-failed' : 'stream-complete');
+            messageEl.removeAttribute('aria-busy');
+        }
+        
+        // Keep the latest text in view while streaming
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    /**
+     * Add an assistant bubble that fills in as an agent streams its answer
+     */
+    addStreamingMessage(container, queryId, agentId, streamId = agentId) {
+        let agentName = AgentOrchestrator.agents.get(agentId)?.name || agentId;
+        if (streamId !== agentId) {
+            agentName = `${agentName} (summary)`;
+        }
+        
+        const messageEl = document.createElement('div');
+        messageEl.className = 'chat-message assistant streaming';
+        messageEl.dataset.queryId = queryId;
+        messageEl.dataset.agentId = agentId;
+        messageEl.dataset.streamId = streamId;
+        messageEl.setAttribute('aria-busy', 'true');
+        
+        const timeString = new Date().toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        
+        messageEl.innerHTML = `
+            <div class="message-header">
+                <span class="message-sender">${this.escapeHtml(agentName)}</span>
+                <span class="message-time">${timeString}</span>
+            </div>
+            <div class="message-content"></div>
+        `;
+        
+        container.appendChild(messageEl);
+        
+        return messageEl;
+    }
+
     /**
      * Add typing indicator
      */
     addTypingIndicator(container) {
         const indicator = document.createElement('div');
         indicator.className = 'typing-indicator';
+        indicator.setAttribute('aria-live', 'polite');
         indicator.innerHTML = `
             <div class="typing-dots">
                 <span></span>
@@ -911,9 +1544,258 @@ class WidgetManager {
      * Configure widget settings
      */
     configureWidget(widgetId) {
-        // Implementation for widget configuration modal
-        console.log('Configure widget:', widgetId);
-        // This would open a configuration modal specific to the widget type
+        const widget = this.widgets.get(widgetId);
+        if (!widget) return;
+        
+        const modal = this.createConfigModal(widget);
+        document.body.appendChild(modal);
+        this.setupConfigModal(modal, widgetId);
+        
+        modal.querySelector('.widget-title-input')?.focus();
+    }
+
+    /**
+     * Create configuration modal
+     */
+    createConfigModal(widget) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-backdrop';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-label', `Configure ${widget.title}`);
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Configure ${this.escapeHtml(widget.title)}</h2>
+                    <button class="modal-close" aria-label="Close">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="config-section">
+                        <label for="${widget.id}-title">Widget Title:</label>
+                        <input type="text" id="${widget.id}-title" class="widget-title-input" 
+                               value="${this.escapeHtml(widget.title)}">
+                    </div>
+                    ${widget.type === 'multi-agent-chat' ? this.createChatConfig(widget) : ''}
+                    ${widget.type === 'analytics-dashboard' ? this.createAnalyticsConfig(widget) : ''}
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary modal-close">Cancel</button>
+                    <button class="btn btn-primary save-config">Save Changes</button>
+                </div>
+            </div>
+        `;
+        return modal;
+    }
+
+    /**
+     * Create chat-specific configuration
+     */
+    createChatConfig(widget) {
+        const routingMode = widget.config.routingMode || 'parallel';
+        const threshold = widget.config.confidenceThreshold ?? 
+            AgentOrchestrator.config.sequentialConfidenceThreshold;
+        
+        const routingOptions = [
+            ['parallel', 'Parallel (query all selected agents)'],
+            ['sequential', 'Sequential (query one by one)'],
+            ['smart', 'Smart (auto-detect best agent)']
+        ].map(([value, label]) => 
+            `<option value="${value}" ${value === routingMode ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        
+        const synthesis = widget.config.synthesis || AgentOrchestrator.config.synthesisStrategy;
+        const synthesisOptions = SynthesisStrategies.getStrategies().map(({ name, label }) => 
+            `<option value="${name}" ${name === synthesis ? 'selected' : ''}>${this.escapeHtml(label)}</option>`
+        ).join('');
+        
+        const synthesisAgent = widget.config.synthesisAgent || AgentOrchestrator.config.synthesisAgent;
+        const synthesisAgentOptions = Array.from(AgentOrchestrator.agents.values()).map(agent => 
+            `<option value="${agent.id}" ${agent.id === synthesisAgent ? 'selected' : ''}>${this.escapeHtml(agent.name)}</option>`
+        ).join('');
+        
+        return `
+            <div class="config-section">
+                <label for="${widget.id}-routing">Query Routing:</label>
+                <select id="${widget.id}-routing" class="routing-select">
+                    ${routingOptions}
+                </select>
+            </div>
+            <div class="config-section confidence-section" ${routingMode === 'sequential' ? '' : 'hidden'}>
+                <label for="${widget.id}-confidence">Stop when an answer reaches confidence (%):</label>
+                <input type="number" id="${widget.id}-confidence" class="confidence-input" 
+                       min="0" max="100" step="5" value="${Math.round(threshold * 100)}">
+            </div>
+            <div class="config-section">
+                <label for="${widget.id}-memory-turns">Remember last turns:</label>
+                <input type="number" id="${widget.id}-memory-turns" class="memory-turns-input" 
+                       min="0" max="100" value="${widget.memory.maxTurns}">
+                <label for="${widget.id}-memory-tokens">History token budget:</label>
+                <input type="number" id="${widget.id}-memory-tokens" class="memory-tokens-input" 
+                       min="100" max="32000" step="100" value="${widget.memory.maxTokens}">
+                <button type="button" class="btn btn-secondary clear-conversation">Clear conversation</button>
+            </div>
+            <div class="config-section">
+                <span class="config-label">Learned routing (${AgentOrchestrator.routingEngine.learnedWeights.feedbackCount} ratings, all widgets):</span>
+                <button type="button" class="btn btn-secondary export-routing-weights">Export</button>
+                <button type="button" class="btn btn-secondary reset-routing-weights">Reset</button>
+            </div>
+            <div class="config-section">
+                <label for="${widget.id}-synthesis">Combine Answers:</label>
+                <select id="${widget.id}-synthesis" class="synthesis-select">
+                    ${synthesisOptions}
+                </select>
+            </div>
+            <div class="config-section synthesis-agent-section" ${synthesis === 'synthesizer-agent' ? '' : 'hidden'}>
+                <label for="${widget.id}-synthesis-agent">Summarizing Agent:</label>
+                <select id="${widget.id}-synthesis-agent" class="synthesis-agent-select">
+                    ${synthesisAgentOptions}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Create analytics-specific configuration; budgets are shared by every dashboard
+     */
+    createAnalyticsConfig(widget) {
+        const ledger = AgentOrchestrator.costLedger;
+        
+        return `
+            <div class="config-section">
+                <span class="config-label">Spending budgets in ${this.escapeHtml(ledger.currency)} (all widgets, empty for none):</span>
+                <label for="${widget.id}-budget-daily">Daily:</label>
+                <input type="number" id="${widget.id}-budget-daily" class="budget-daily-input" 
+                       min="0" step="0.01" value="${ledger.budgets.daily ?? ''}">
+                <label for="${widget.id}-budget-monthly">Monthly:</label>
+                <input type="number" id="${widget.id}-budget-monthly" class="budget-monthly-input" 
+                       min="0" step="0.01" value="${ledger.budgets.monthly ?? ''}">
+            </div>
+        `;
+    }
+
+    /**
+     * Setup configuration modal interactions
+     */
+    setupConfigModal(modal, widgetId) {
+        const closeModal = () => {
+            modal.remove();
+            document.getElementById(widgetId)?.focus();
+        };
+        
+        modal.querySelectorAll('.modal-close').forEach(button => {
+            button.addEventListener('click', closeModal);
+        });
+        
+        modal.querySelector('.save-config').addEventListener('click', () => {
+            this.saveWidgetConfig(modal, widgetId);
+            closeModal();
+        });
+        
+        // The confidence threshold only applies to sequential routing
+        const routingSelect = modal.querySelector('.routing-select');
+        const confidenceSection = modal.querySelector('.confidence-section');
+        if (routingSelect && confidenceSection) {
+            routingSelect.addEventListener('change', () => {
+                confidenceSection.hidden = routingSelect.value !== 'sequential';
+            });
+        }
+        
+        modal.querySelector('.clear-conversation')?.addEventListener('click', (e) => {
+            this.clearConversation(widgetId);
+            e.target.disabled = true;
+            e.target.textContent = 'Conversation cleared';
+        });
+        
+        modal.querySelector('.export-routing-weights')?.addEventListener('click', () => {
+            this.exportRoutingWeights();
+        });
+        
+        modal.querySelector('.reset-routing-weights')?.addEventListener('click', (e) => {
+            if (!confirm('Forget everything smart routing learned from answer ratings?')) return;
+            AgentOrchestrator.routingEngine.resetLearnedWeights();
+            e.target.disabled = true;
+            e.target.textContent = 'Reset';
+            AICanvas.announceToScreenReader('Learned routing reset');
+        });
+        
+        // The summarizing agent only applies to agent synthesis
+        const synthesisSelect = modal.querySelector('.synthesis-select');
+        const synthesisAgentSection = modal.querySelector('.synthesis-agent-section');
+        if (synthesisSelect && synthesisAgentSection) {
+            synthesisSelect.addEventListener('change', () => {
+                synthesisAgentSection.hidden = synthesisSelect.value !== 'synthesizer-agent';
+            });
+        }
+        
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                closeModal();
+            }
+        });
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
+    }
+
+    /**
+     * Save widget configuration from the modal
+     */
+    saveWidgetConfig(modal, widgetId) {
+        const widget = this.widgets.get(widgetId);
+        if (!widget) return;
+        
+        const title = modal.querySelector('.widget-title-input')?.value.trim();
+        if (title) {
+            widget.title = title;
+            const titleElement = document.querySelector(`#${widgetId} .widget-title`);
+            if (titleElement) {
+                titleElement.textContent = title;
+            }
+        }
+        
+        if (widget.type === 'multi-agent-chat') {
+            const routingSelect = modal.querySelector('.routing-select');
+            const confidenceInput = modal.querySelector('.confidence-input');
+            const confidence = parseFloat(confidenceInput?.value);
+            const synthesisSelect = modal.querySelector('.synthesis-select');
+            const synthesisAgentSelect = modal.querySelector('.synthesis-agent-select');
+            const turns = parseInt(modal.querySelector('.memory-turns-input')?.value, 10);
+            const memory = {
+                // 0 is valid: it turns memory off
+                maxTurns: Number.isFinite(turns) ? Math.min(Math.max(turns, 0), 100) : widget.memory.maxTurns,
+                maxTokens: parseInt(modal.querySelector('.memory-tokens-input')?.value, 10) || widget.memory.maxTokens
+            };
+            widget.memory.setBudget(memory);
+            
+            this.updateWidgetConfig(widgetId, {
+                memory,
+                routingMode: routingSelect?.value || 'parallel',
+                synthesis: synthesisSelect?.value,
+                synthesisAgent: synthesisAgentSelect?.value,
+                ...(Number.isFinite(confidence) && {
+                    confidenceThreshold: Math.min(Math.max(confidence, 0), 100) / 100
+                })
+            });
+        }
+        
+        if (widget.type === 'analytics-dashboard') {
+            // An empty or zero budget removes it
+            const budget = selector => parseFloat(modal.querySelector(selector)?.value) || null;
+            AgentOrchestrator.costLedger.setBudgets({
+                daily: budget('.budget-daily-input'),
+                monthly: budget('.budget-monthly-input')
+            });
+        }
+        
+        NotificationManager.show({
+            type: 'success',
+            title: 'Widget Updated',
+            message: `${widget.title} configuration saved`,
+            duration: 2000
+        });
     }
 
     /**
@@ -960,6 +1842,9 @@ class WidgetManager {
             }
         }
         
+        // Nobody is left to read answers for this widget
+        AgentOrchestrator.cancelQueriesForWidget(widgetId, 'Widget closed');
+        
         // Animate removal
         element.style.transform += ' scale(0)';
         element.style.opacity = '0';
@@ -1146,6 +2031,7 @@ class WidgetManager {
                 position: widget.position,
                 size: widget.size,
                 config: widget.config,
+                conversation: widget.memory?.toJSON(),
                 pinned: widget.pinned,
                 created: widget.created
             });
@@ -1163,10 +2049,109 @@ class WidgetManager {
             title: data.title,
             position: data.position,
             size: data.size,
-            config: data.config
+            config: data.config,
+            conversation: data.conversation
+        });
+    }
+
+    /**
+     * Re-render a restored conversation into a chat widget
+     */
+    renderConversation(element, memory) {
+        const messagesContainer = element.querySelector('.chat-messages');
+        if (!messagesContainer || (memory.turns.length === 0 && !memory.summary)) return;
+        
+        messagesContainer.querySelector('.welcome-message')?.remove();
+        
+        if (memory.summary) {
+            this.addChatMessage(messagesContainer, {
+                type: 'system',
+                content: `Earlier in this conversation: ${memory.summary.split('\n').join(' ')}`,
+                timestamp: new Date()
+            });
+        }
+        
+        memory.turns.forEach(turn => {
+            this.addChatMessage(messagesContainer, {
+                type: turn.role,
+                content: turn.content,
+                agents: turn.agents,
+                timestamp: new Date(turn.timestamp)
+            });
         });
     }
 
+    /**
+     * Forget a chat widget's conversation and clear its messages
+     */
+    clearConversation(widgetId) {
+        const widget = this.widgets.get(widgetId);
+        if (!widget?.memory) return;
+        
+        AgentOrchestrator.cancelQueriesForWidget(widgetId, 'Conversation cleared');
+        widget.memory.clear();
+        
+        const messagesContainer = document.getElementById(widgetId)?.querySelector('.chat-messages');
+        if (messagesContainer) {
+            messagesContainer.innerHTML = '';
+            this.addChatMessage(messagesContainer, {
+                type: 'system',
+                content: 'Conversation cleared. New questions start without earlier context.',
+                timestamp: new Date()
+            });
+        }
+    }
+
+    /**
+     * Ask a chat widget a past question again
+     */
+    rerunQuery(widgetId, message) {
+        const element = document.getElementById(widgetId);
+        if (!element) return;
+        
+        element.scrollIntoView({ block: 'nearest' });
+        element.querySelector('.chat-input')?.focus();
+        this.handleChatSubmission(widgetId, message);
+    }
+
+    /**
+     * Download the router's learned weights as JSON
+     */
+    exportRoutingWeights() {
+        const data = AgentOrchestrator.routingEngine.exportLearnedWeights();
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `aicanvas-routing-weights-${Date.now()}.json`;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Send feedback on an answer and lock its feedback buttons
+     */
+    submitFeedback(messageEl, queryId, rating) {
+        const widgetId = messageEl.closest('.widget')?.id;
+        
+        document.dispatchEvent(new CustomEvent('widget:query-feedback', {
+            detail: { widgetId, queryId, rating }
+        }));
+        
+        messageEl.querySelectorAll('.feedback-button').forEach(button => {
+            const selected = button.dataset.rating === rating;
+            button.setAttribute('aria-pressed', selected);
+            button.classList.toggle('selected', selected);
+            button.disabled = true;
+        });
+        
+        AICanvas.announceToScreenReader(
+            rating === 'wrong-agent' ? 'Thanks, smart routing will favour other agents for questions like this' : 'Thanks for the feedback'
+        );
+    }
+
     /**
      * Handle agent response
      */
@@ -1185,12 +2170,32 @@ class WidgetManager {
             typingIndicator.remove();
         }
         
+        // The final (possibly synthesized) answer replaces the streamed drafts
+        if (responseData.queryId) {
+            messagesContainer.querySelectorAll(
+                `.chat-message.streaming[data-query-id="${responseData.queryId}"]`
+            ).forEach(el => el.remove());
+        }
+        
+        if (!response.error) {
+            widget.memory.addTurn('assistant', response.content, {
+                agents: response.agents,
+                queryId: responseData.queryId
+            });
+        }
+        
         // Add response message
         this.addChatMessage(messagesContainer, {
-            type: 'assistant',
+            type: response.error ? 'error' : 'assistant',
             content: response.content,
             sources: response.sources,
             agents: response.agents,
+            conflicts: response.conflicts,
+            routing: response.routing,
+            queryId: responseData.queryId,
+            cachedAt: response.cached ? response.cachedAt : null,
+            query: responseData.message,
+            context: responseData.context,
             timestamp: new Date()
         });
     }
@@ -1279,5 +2284,14 @@ class WidgetManager {
     }
 }
 
+/**
+ * Time ranges for analytics dashboards; `buckets` is the number of sparkline intervals
+ */
+WidgetManager.ANALYTICS_RANGES = {
+    hour: { label: 'Last hour', duration: 3600000, buckets: 12 },
+    day: { label: 'Last day', duration: 86400000, buckets: 24 },
+    week: { label: 'Last week', duration: 604800000, buckets: 28 }
+};
+
 // Create global instance
 window.WidgetManager = new WidgetManager();